@@ -0,0 +1,35 @@
+#!/bin/sh
+# Downloads the third-party files the app loads from CDNs into ./vendor, so
+# the page can run without internet access. Run once from the repository
+# root on a connected machine, then open the page with ?assets=local (see
+# README, "离线运行").
+set -eu
+
+THREE_VERSION=0.160.0
+MEDIAPIPE_VERSION=0.10.0
+HAND_MODEL_URL=https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task
+
+cd "$(dirname "$0")/.."
+tmp=$(mktemp -d)
+trap 'rm -rf "$tmp"' EXIT
+
+fetch_package() {
+  # npm package tarballs unpack into a "package" folder.
+  mkdir -p "$tmp/$1"
+  curl -fsSL "https://registry.npmjs.org/$2/-/$3-$4.tgz" | tar -xz -C "$tmp/$1"
+}
+
+fetch_package three three three "$THREE_VERSION"
+rm -rf vendor/three
+mkdir -p vendor/three/build vendor/three/examples
+cp "$tmp/three/package/build/three.module.js" vendor/three/build/
+cp -R "$tmp/three/package/examples/jsm" vendor/three/examples/
+
+fetch_package mediapipe @mediapipe/tasks-vision tasks-vision "$MEDIAPIPE_VERSION"
+rm -rf vendor/mediapipe
+mkdir -p vendor/mediapipe
+cp "$tmp/mediapipe/package/vision_bundle.js" vendor/mediapipe/
+cp -R "$tmp/mediapipe/package/wasm" vendor/mediapipe/
+curl -fsSL "$HAND_MODEL_URL" -o vendor/mediapipe/hand_landmarker.task
+
+echo "Vendored three.js $THREE_VERSION and MediaPipe tasks-vision $MEDIAPIPE_VERSION into ./vendor"
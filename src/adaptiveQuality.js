@@ -0,0 +1,84 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+// From best to cheapest. pixelRatioScale multiplies the device pixel ratio
+// (capped at performance.maxPixelRatio), backgroundDetail is the share of
+// background stars drawn and postProcessing caps the pipeline quality.
+export const QUALITY_LEVELS = [
+  { label: "最高", pixelRatioScale: 1, backgroundDetail: 1, postProcessing: "high" },
+  { label: "高", pixelRatioScale: 0.75, backgroundDetail: 1, postProcessing: "high" },
+  { label: "中", pixelRatioScale: 0.75, backgroundDetail: 0.6, postProcessing: "low" },
+  { label: "低", pixelRatioScale: 0.5, backgroundDetail: 0.6, postProcessing: "low" },
+  { label: "最低", pixelRatioScale: 0.5, backgroundDetail: 0.3, postProcessing: "off" },
+];
+
+// Frames within this share of the refresh interval count as keeping up.
+const REFRESH_SLACK = 1.2;
+
+// Steps through QUALITY_LEVELS from the average frame time: one level down
+// once frames have been over budget for downgradeDelay, one level up once
+// they have stayed well under it for upgradeDelay. Frame times are rAF
+// deltas, which cannot drop below the display's refresh interval (16.7 ms at
+// 60 Hz), so "well under" is budget × headroom or, when that is shorter,
+// running at the refresh rate within the budget. Emits "change" with
+// { level, settings }.
+export class AdaptiveQuality extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...CONFIG.performance, ...options };
+    this.level = 0;
+    this.upgradeDelay = this.options.upgradeDelay;
+    this.slowSince = null;
+    this.fastSince = null;
+    this.lastUpgradeAt = -Infinity;
+  }
+
+  get settings() {
+    return QUALITY_LEVELS[this.level];
+  }
+
+  // `refreshInterval` is the display's frame interval as measured by
+  // PerformanceMonitor; 0 when unknown.
+  update(frameTime, { now = performance.now(), refreshInterval = 0 } = {}) {
+    const { frameBudget, headroom, downgradeDelay } = this.options;
+    const upgradeBelow = Math.max(frameBudget * headroom, Math.min(refreshInterval * REFRESH_SLACK, frameBudget));
+
+    if (frameTime > frameBudget) {
+      this.fastSince = null;
+      this.slowSince ??= now;
+      if (now - this.slowSince >= downgradeDelay && this.level < QUALITY_LEVELS.length - 1) {
+        // The last upgrade did not hold, so wait longer before the next one.
+        if (now - this.lastUpgradeAt < this.upgradeDelay) {
+          this.upgradeDelay = Math.min(this.upgradeDelay * 2, this.options.maxUpgradeDelay);
+        }
+        this._setLevel(this.level + 1);
+      }
+    } else if (frameTime < upgradeBelow) {
+      this.slowSince = null;
+      this.fastSince ??= now;
+      if (now - this.fastSince >= this.upgradeDelay && this.level > 0) {
+        this.lastUpgradeAt = now;
+        this._setLevel(this.level - 1);
+      }
+    } else {
+      this.slowSince = null;
+      this.fastSince = null;
+    }
+  }
+
+  // Back to the best level, e.g. when adaptive quality is switched off.
+  reset() {
+    this.upgradeDelay = this.options.upgradeDelay;
+    this.lastUpgradeAt = -Infinity;
+    this._setLevel(0);
+  }
+
+  _setLevel(level) {
+    // Measurements taken at the old level say nothing about the new one.
+    this.slowSince = null;
+    this.fastSince = null;
+    if (level === this.level) return;
+    this.level = level;
+    this._emit("change", { level, settings: this.settings });
+  }
+}
@@ -0,0 +1,245 @@
+// Markup for one mounted StarfieldApp. Elements are found by data-role
+// rather than id so the host page's own ids are never touched.
+const APP_TEMPLATE = `
+  <canvas class="star-canvas" data-role="canvas"></canvas>
+  <div class="overlay-panel">
+    <div class="status-line" data-role="gesture-status">手势识别初始化中…</div>
+    <button class="control-btn" data-role="gesture-toggle">关闭手势识别</button>
+    <div class="status-line" data-role="selection-status">尚未选中星体</div>
+    <div class="selection-history hidden" data-role="selection-history"></div>
+    <button class="control-btn hidden" data-role="overview-toggle">返回星系全景</button>
+    <button class="control-btn" data-role="search-toggle">搜索星体</button>
+    <button class="control-btn" data-role="fullscreen-toggle">进入全屏</button>
+    <button class="control-btn" data-role="capture-image">截图</button>
+    <button class="control-btn" data-role="record-video">录制视频</button>
+    <button class="control-btn" data-role="constellation-toggle">绘制星座</button>
+    <div class="constellation-editor hidden" data-role="constellation-editor">
+      <input type="text" data-role="constellation-name" placeholder="星座名称" aria-label="星座名称" maxlength="40">
+      <div class="constellation-editor-status" data-role="constellation-status"></div>
+      <div class="constellation-editor-actions">
+        <button class="control-btn" data-role="constellation-undo">撤销</button>
+        <button class="control-btn" data-role="constellation-lift-pen">抬笔</button>
+        <button class="control-btn" data-role="constellation-finish">完成</button>
+      </div>
+    </div>
+    <button class="control-btn" data-role="settings-toggle">设置</button>
+  </div>
+  <div class="selection-cursor hidden" data-role="selection-cursor"></div>
+  <div class="performance-overlay hidden" data-role="performance-overlay"></div>
+  <div class="info-card hidden" data-role="info-card"></div>
+  <div class="command-palette hidden" data-role="command-palette">
+    <div class="palette-card">
+      <input type="search" placeholder="搜索星体，如：行星 3、有大气的行星、温度 > 8000K" aria-label="搜索星体">
+      <div class="palette-summary"></div>
+      <ul class="palette-results"></ul>
+    </div>
+  </div>
+  <div class="settings-panel hidden" data-role="settings-panel">
+    <h3>设置</h3>
+    <div class="setting-item">
+      <label>旋转速度 <input type="range" data-role="rotation-speed" min="0" max="0.2" step="0.01" value="0.045"></label>
+    </div>
+    <div class="setting-item">
+      <label>灵敏度 <input type="range" data-role="sensitivity" min="1" max="10" step="0.1" value="3.8"></label>
+    </div>
+    <div class="setting-item">
+      <label>星空模式
+        <select data-role="starfield-mode">
+          <option value="random">随机生成</option>
+          <option value="catalog">真实星表</option>
+        </select>
+      </label>
+    </div>
+    <div class="setting-item">
+      <label>画面质量
+        <select data-role="render-quality">
+          <option value="high">高（泛光、描边、暗角）</option>
+          <option value="low">低（半分辨率泛光）</option>
+          <option value="off">关闭后期处理</option>
+        </select>
+      </label>
+    </div>
+    <div class="setting-item">
+      <label>模拟时间 <input type="range" data-role="time-scale" min="-20" max="20" step="0.5" value="1"></label>
+      <span class="setting-value" data-role="time-scale-value">×1</span>
+      <button class="control-btn" data-role="toggle-simulation">暂停</button>
+      <button class="control-btn" data-role="reverse-time">反向</button>
+    </div>
+    <div class="setting-item">
+      <label class="toggle"><input type="checkbox" data-role="show-orbits" checked> 显示轨道</label>
+    </div>
+    <div class="setting-item">
+      <label class="toggle"><input type="checkbox" data-role="two-hand-mode"> 双手模式</label>
+    </div>
+    <div class="setting-item">
+      <label class="toggle"><input type="checkbox" data-role="show-performance"> 显示性能面板</label>
+    </div>
+    <div class="setting-item">
+      <label>摄像头
+        <select data-role="camera-device">
+          <option value="">默认（前置摄像头）</option>
+        </select>
+      </label>
+      <label>采集分辨率
+        <select data-role="camera-resolution">
+          <option value="low">低（识别最快）</option>
+          <option value="medium">中</option>
+          <option value="high">高（识别最准）</option>
+        </select>
+      </label>
+    </div>
+    <div class="setting-item">
+      <label>手势校准</label>
+      <span class="setting-value" data-role="calibration-status">未校准</span>
+      <button class="control-btn" data-role="start-calibration">开始校准</button>
+      <button class="control-btn" data-role="reset-calibration">重置校准</button>
+    </div>
+    <div class="setting-item">
+      <label>星空种子</label>
+      <span class="setting-value" data-role="seed-value">—</span>
+      <button class="control-btn" data-role="copy-seed-link">复制分享链接</button>
+    </div>
+    <div class="setting-item">
+      <label>全部设置</label>
+      <div class="settings-form" data-role="settings-form"></div>
+    </div>
+    <div class="setting-item">
+      <label>设置管理</label>
+      <span class="setting-value" data-role="settings-status"></span>
+      <button class="control-btn" data-role="export-settings">导出设置</button>
+      <label class="control-btn file-btn">导入设置<input type="file" data-role="import-settings" accept="application/json,.json" hidden></label>
+      <button class="control-btn" data-role="reset-settings">恢复默认</button>
+    </div>
+    <div class="setting-item">
+      <label>星座</label>
+      <span class="setting-value" data-role="constellation-count">暂无星座</span>
+      <button class="control-btn" data-role="export-constellations">导出星座</button>
+      <label class="control-btn file-btn">导入星座<input type="file" data-role="import-constellations" accept="application/json,.json" hidden></label>
+      <button class="control-btn" data-role="clear-constellations">清除全部星座</button>
+    </div>
+    <div class="setting-item">
+      <label>手势录制</label>
+      <button class="control-btn" data-role="record-gesture">录制手势</button>
+      <label class="control-btn file-btn">回放录制文件<input type="file" data-role="replay-gesture" accept="application/json,.json" hidden></label>
+    </div>
+    <button class="control-btn" data-role="close-settings">关闭</button>
+  </div>
+  <div class="calibration-overlay hidden" data-role="calibration-overlay">
+    <div class="calibration-card">
+      <h3>手势校准 <span data-role="calibration-step"></span></h3>
+      <p data-role="calibration-instruction"></p>
+      <div class="calibration-progress"><div class="calibration-progress-bar" data-role="calibration-progress-bar"></div></div>
+      <button class="control-btn" data-role="cancel-calibration">取消</button>
+    </div>
+    <div class="calibration-target hidden" data-role="calibration-target"></div>
+  </div>
+  <div class="video-container hand-preview" data-role="hand-preview">
+    <video class="hand-video" data-role="video" autoplay playsinline muted></video>
+    <canvas class="hand-canvas" data-role="hand-canvas"></canvas>
+  </div>
+`;
+
+export const ELEMENT_ROLES = [
+  "canvas",
+  "gestureStatus",
+  "gestureToggle",
+  "selectionStatus",
+  "selectionHistory",
+  "overviewToggle",
+  "searchToggle",
+  "fullscreenToggle",
+  "captureImage",
+  "recordVideo",
+  "constellationToggle",
+  "constellationEditor",
+  "constellationName",
+  "constellationStatus",
+  "constellationUndo",
+  "constellationLiftPen",
+  "constellationFinish",
+  "settingsToggle",
+  "selectionCursor",
+  "performanceOverlay",
+  "infoCard",
+  "commandPalette",
+  "settingsPanel",
+  "rotationSpeed",
+  "sensitivity",
+  "starfieldMode",
+  "renderQuality",
+  "timeScale",
+  "timeScaleValue",
+  "toggleSimulation",
+  "reverseTime",
+  "showOrbits",
+  "twoHandMode",
+  "showPerformance",
+  "cameraDevice",
+  "cameraResolution",
+  "calibrationStatus",
+  "startCalibration",
+  "resetCalibration",
+  "seedValue",
+  "copySeedLink",
+  "settingsForm",
+  "settingsStatus",
+  "exportSettings",
+  "importSettings",
+  "resetSettings",
+  "constellationCount",
+  "exportConstellations",
+  "importConstellations",
+  "clearConstellations",
+  "recordGesture",
+  "replayGesture",
+  "closeSettings",
+  "calibrationOverlay",
+  "calibrationStep",
+  "calibrationInstruction",
+  "calibrationProgressBar",
+  "cancelCalibration",
+  "calibrationTarget",
+  "video",
+  "handCanvas",
+];
+
+function toDataRole(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+// Fills `container` with the app markup unless it already carries it, then
+// resolves every role. Elements passed in `supplied` win over the template's;
+// a supplied video moves the hand preview to the host page, so the built-in
+// one is dropped if it came from the template (host markup is left alone).
+// Returns the elements and an unmount() that removes only what was added here.
+export function mountAppDom(container, supplied = {}) {
+  const added = [];
+  if (!container.querySelector("[data-role]")) {
+    const template = document.createElement("template");
+    template.innerHTML = APP_TEMPLATE;
+    added.push(...template.content.children);
+    container.append(template.content);
+  }
+  if (supplied.video) {
+    const preview = added.findIndex((element) => element.dataset.role === "hand-preview");
+    if (preview !== -1) added.splice(preview, 1)[0].remove();
+  }
+  container.classList.add("starfield-app");
+
+  const elements = {};
+  ELEMENT_ROLES.forEach((name) => {
+    const element = supplied[name] ?? container.querySelector(`[data-role="${toDataRole(name)}"]`);
+    if (!element) {
+      throw new Error(`星空应用缺少元素：${name}（data-role="${toDataRole(name)}"）`);
+    }
+    elements[name] = element;
+  });
+
+  return {
+    elements,
+    unmount() {
+      added.forEach((element) => element.remove());
+      container.classList.remove("starfield-app");
+    },
+  };
+}
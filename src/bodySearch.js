@@ -0,0 +1,149 @@
+// Free-text search over Starfield bodies. A query mixes plain words (matched
+// against names and text attributes), body kinds and numeric comparisons:
+//
+//   "行星 3"                    → planets whose name contains "3"
+//   "planets with atmosphere"  → planets whose atmosphere is "存在"
+//   "temperature > 8000K"      → stars hotter than 8000 K
+//   "恒星 质量>=10 光谱 B"
+//
+// Numeric comparisons read the leading number of the userData field, so units
+// in both the query and the data ("8000K", "1.2 g") are ignored.
+const KIND_WORDS = {
+  star: "star",
+  stars: "star",
+  恒星: "star",
+  planet: "planet",
+  planets: "planet",
+  行星: "planet",
+  moon: "moon",
+  moons: "moon",
+  卫星: "moon",
+  constellation: "constellation",
+  constellations: "constellation",
+  星座: "constellation",
+};
+
+const NUMERIC_FIELDS = {
+  temperature: "temperature",
+  temp: "temperature",
+  温度: "temperature",
+  mass: "mass",
+  质量: "mass",
+  gravity: "gravity",
+  重力: "gravity",
+  magnitude: "magnitude",
+  mag: "magnitude",
+  星等: "magnitude",
+  distance: "distance",
+  距离: "distance",
+  eccentricity: "eccentricity",
+  偏心率: "eccentricity",
+  period: "orbitalPeriod",
+  周期: "orbitalPeriod",
+  a: "semiMajorAxis",
+  半长轴: "semiMajorAxis",
+};
+
+// Phrases are removed from the query before it is split into words.
+const FLAG_PHRASES = [
+  { pattern: /\b(?:without|no)\s+atmosphere\b|无大气|没有大气/gi, field: "atmosphere", value: "无" },
+  { pattern: /\b(?:with\s+)?atmosphere\b|有大气|带大气/gi, field: "atmosphere", value: "存在" },
+];
+
+const STOP_WORDS = new Set(["with", "and", "the", "of", "和"]);
+const TEXT_FIELDS = ["label", "kindLabel", "designation", "spectralType", "host"];
+const COMPARISON_PATTERN = /([a-z一-龥]+)\s*(>=|<=|>|<|=)\s*(-?\d+(?:\.\d+)?)[a-z°%☉]*/gi;
+
+const collator = new Intl.Collator("zh-CN", { numeric: true });
+
+const COMPARATORS = {
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+};
+
+export function parseSearchQuery(query) {
+  const parsed = { text: query.trim().toLowerCase(), kinds: new Set(), comparisons: [], flags: [], terms: [] };
+  let rest = parsed.text;
+
+  rest = rest.replace(COMPARISON_PATTERN, (match, name, operator, value) => {
+    const field = NUMERIC_FIELDS[name];
+    if (!field) return match;
+    parsed.comparisons.push({ field, operator, value: Number(value) });
+    return " ";
+  });
+
+  FLAG_PHRASES.forEach(({ pattern, field, value }) => {
+    rest = rest.replace(pattern, () => {
+      parsed.flags.push({ field, value });
+      return " ";
+    });
+  });
+
+  // Chinese queries are usually unspaced ("有大气的行星"), so split kind words out.
+  rest = rest.replace(/(恒星|行星|卫星)/g, " $1 ").replace(/的/g, " ");
+  rest.split(/\s+/).forEach((word) => {
+    if (!word || STOP_WORDS.has(word)) return;
+    if (KIND_WORDS[word]) {
+      parsed.kinds.add(KIND_WORDS[word]);
+    } else {
+      parsed.terms.push(word);
+    }
+  });
+  return parsed;
+}
+
+// Search text and parsed numbers are cached per body so repeated queries
+// (one per keystroke) only pay for matching.
+export function createBodyIndex(bodies) {
+  return bodies.map((body) => {
+    const { userData } = body;
+    const numbers = {};
+    Object.values(NUMERIC_FIELDS).forEach((field) => {
+      const value = parseFloat(userData[field]);
+      if (Number.isFinite(value)) numbers[field] = value;
+    });
+    return {
+      body,
+      label: String(userData.label).toLowerCase(),
+      text: TEXT_FIELDS.map((field) => userData[field]).filter(Boolean).join(" ").toLowerCase(),
+      numbers,
+    };
+  });
+}
+
+function scoreEntry(entry, parsed) {
+  const { userData } = entry.body;
+  if (parsed.kinds.size && !parsed.kinds.has(userData.type)) return null;
+  if (!parsed.flags.every(({ field, value }) => userData[field] === value)) return null;
+  if (!parsed.comparisons.every(({ field, operator, value }) => (
+    field in entry.numbers && COMPARATORS[operator](entry.numbers[field], value)
+  ))) {
+    return null;
+  }
+  if (!parsed.terms.every((term) => entry.text.includes(term))) return null;
+
+  // Names that match the whole query rank first, then names containing every
+  // word, then matches on other attributes.
+  if (entry.label === parsed.text) return 0;
+  if (parsed.text && entry.label.includes(parsed.text)) return 1;
+  if (parsed.terms.every((term) => entry.label.includes(term))) return 2;
+  return 3;
+}
+
+export function searchBodies(index, query, limit = 50) {
+  const parsed = parseSearchQuery(query);
+  const matches = [];
+  index.forEach((entry) => {
+    const score = scoreEntry(entry, parsed);
+    if (score !== null) matches.push({ entry, score });
+  });
+
+  matches.sort((a, b) => a.score - b.score || collator.compare(a.entry.label, b.entry.label));
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map(({ entry }) => entry.body),
+  };
+}
@@ -0,0 +1,198 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+export const CALIBRATION_STORAGE_KEY = "starfield.calibration";
+const PROFILE_VERSION = 1;
+
+const CALIBRATION_STEPS = [
+  { id: "open", instruction: "请张开手掌并保持不动", sample: "openness" },
+  { id: "fist", instruction: "请握拳并保持不动", sample: "openness" },
+  { id: "top-left", instruction: "请用食指指向屏幕左上角", sample: "pointer", target: { x: 0, y: 0 } },
+  { id: "top-right", instruction: "请用食指指向屏幕右上角", sample: "pointer", target: { x: 1, y: 0 } },
+  { id: "bottom-right", instruction: "请用食指指向屏幕右下角", sample: "pointer", target: { x: 1, y: 1 } },
+  { id: "bottom-left", instruction: "请用食指指向屏幕左下角", sample: "pointer", target: { x: 0, y: 1 } },
+];
+
+const MIN_OPENNESS_SPAN = 0.01;
+const MIN_POINTER_SPAN = 0.1;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function isValidProfile(profile) {
+  return (
+    profile?.version === PROFILE_VERSION &&
+    Number.isFinite(profile.minOpenness) &&
+    Number.isFinite(profile.maxOpenness) &&
+    profile.maxOpenness > profile.minOpenness &&
+    ["minX", "maxX", "minY", "maxY"].every((key) => Number.isFinite(profile.pointerBounds?.[key]))
+  );
+}
+
+export function loadCalibrationProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+    return isValidProfile(profile) ? profile : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns false when storage is unavailable; the profile then only lasts
+// until the page is reloaded.
+export function saveCalibrationProfile(profile) {
+  try {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profile));
+    return true;
+  } catch (error) {
+    console.warn("Failed to save calibration profile", error);
+    return false;
+  }
+}
+
+export function clearCalibrationProfile() {
+  try {
+    localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+  } catch (error) {
+    console.warn("Failed to clear calibration profile", error);
+  }
+}
+
+function buildProfile(samples) {
+  const maxOpenness = median(samples.open);
+  const minOpenness = median(samples.fist);
+  if (maxOpenness - minOpenness < MIN_OPENNESS_SPAN) {
+    throw new Error("张开手掌与握拳的差异过小，请重新校准");
+  }
+
+  const corner = (id) => ({
+    x: median(samples[id].map((point) => point.x)),
+    y: median(samples[id].map((point) => point.y)),
+  });
+  const topLeft = corner("top-left");
+  const topRight = corner("top-right");
+  const bottomRight = corner("bottom-right");
+  const bottomLeft = corner("bottom-left");
+
+  // Pointer x is in camera space (unmirrored), so screen-left may be the larger value.
+  const leftX = (topLeft.x + bottomLeft.x) / 2;
+  const rightX = (topRight.x + bottomRight.x) / 2;
+  const topY = (topLeft.y + topRight.y) / 2;
+  const bottomY = (bottomLeft.y + bottomRight.y) / 2;
+  const pointerBounds = {
+    minX: Math.min(leftX, rightX),
+    maxX: Math.max(leftX, rightX),
+    minY: Math.min(topY, bottomY),
+    maxY: Math.max(topY, bottomY),
+  };
+  if (pointerBounds.maxX - pointerBounds.minX < MIN_POINTER_SPAN || pointerBounds.maxY - pointerBounds.minY < MIN_POINTER_SPAN) {
+    throw new Error("指向范围过小，请指向屏幕四角后重新校准");
+  }
+
+  return {
+    version: PROFILE_VERSION,
+    createdAt: new Date().toISOString(),
+    minOpenness,
+    maxOpenness,
+    pointerBounds,
+  };
+}
+
+// Walks the user through the calibration steps, sampling the raw (uncalibrated)
+// values from GestureController "update" events. Emits "step", "progress",
+// "complete" (with the profile), "cancel" and "error".
+export class CalibrationWizard extends EventEmitter {
+  constructor(gestureController, options = {}) {
+    super();
+    this.gestureController = gestureController;
+    this.options = {
+      sampleDuration: CONFIG.calibration.sampleDuration,
+      settleTime: CONFIG.calibration.settleTime,
+      ...options,
+    };
+    this.active = false;
+    this.stepIndex = 0;
+    this.samples = {};
+    this.sampledTime = 0;
+    this.lastSampleTime = null;
+    this.stepStartedAt = 0;
+    this._onUpdate = this._onUpdate.bind(this);
+  }
+
+  get step() {
+    return CALIBRATION_STEPS[this.stepIndex] ?? null;
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.samples = {};
+    this.gestureController.on("update", this._onUpdate);
+    this._enterStep(0);
+  }
+
+  cancel() {
+    if (!this.active) return;
+    this._finish();
+    this._emit("cancel");
+  }
+
+  // Stops a running calibration without emitting "cancel".
+  dispose() {
+    if (this.active) {
+      this._finish();
+    }
+    this.removeAllListeners();
+  }
+
+  _finish() {
+    this.active = false;
+    this.gestureController.off("update", this._onUpdate);
+  }
+
+  _enterStep(index) {
+    this.stepIndex = index;
+    this.sampledTime = 0;
+    this.lastSampleTime = null;
+    this.stepStartedAt = performance.now();
+    this.samples[this.step.id] = [];
+    this._emit("step", { ...this.step, index, total: CALIBRATION_STEPS.length });
+  }
+
+  _onUpdate(data) {
+    const now = performance.now();
+    // Give the user time to change pose, and only count time spent with a
+    // hand in view towards the step.
+    if (!data.present || data.twoHand || now - this.stepStartedAt < this.options.settleTime) {
+      this.lastSampleTime = null;
+      return;
+    }
+
+    const { step } = this;
+    this.samples[step.id].push(step.sample === "openness" ? data.rawOpenness : { ...data.rawPointer });
+
+    if (this.lastSampleTime !== null) {
+      this.sampledTime += now - this.lastSampleTime;
+    }
+    this.lastSampleTime = now;
+
+    const progress = Math.min(this.sampledTime / this.options.sampleDuration, 1);
+    this._emit("progress", { step: step.id, progress });
+    if (progress < 1) return;
+
+    if (this.stepIndex < CALIBRATION_STEPS.length - 1) {
+      this._enterStep(this.stepIndex + 1);
+      return;
+    }
+
+    this._finish();
+    try {
+      this._emit("complete", buildProfile(this.samples));
+    } catch (error) {
+      this._emit("error", error);
+    }
+  }
+}
@@ -0,0 +1,280 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+export const CAMERA_DEVICE_STORAGE_KEY = "starfield.cameraDevice";
+
+// Requested as `ideal`, so the camera picks its closest mode. Smaller frames
+// are cheaper to copy and detect on, at the cost of landmark accuracy.
+export const CAMERA_RESOLUTIONS = {
+  low: { width: 640, height: 480 },
+  medium: { width: 960, height: 720 },
+  high: { width: 1280, height: 960 },
+};
+
+// Errors after which another camera may still open.
+const MISSING_DEVICE_ERRORS = ["NotFoundError", "OverconstrainedError"];
+
+export function loadCameraDevice() {
+  try {
+    return localStorage.getItem(CAMERA_DEVICE_STORAGE_KEY) || null;
+  } catch (error) {
+    console.warn("Failed to load camera device", error);
+    return null;
+  }
+}
+
+export function saveCameraDevice(deviceId) {
+  try {
+    if (deviceId) {
+      localStorage.setItem(CAMERA_DEVICE_STORAGE_KEY, deviceId);
+    } else {
+      localStorage.removeItem(CAMERA_DEVICE_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Failed to save camera device", error);
+  }
+}
+
+// Turns a getUserMedia failure into what the user can do about it.
+export function describeCameraError(error) {
+  switch (error?.name) {
+    case "NotAllowedError":
+    case "SecurityError":
+      return "摄像头权限被拒绝：请点击地址栏中的摄像头图标允许访问，然后点击「开启手势识别」（也可使用鼠标、触摸或键盘操作）";
+    case "NotFoundError":
+    case "OverconstrainedError":
+      return "未找到摄像头：请连接摄像头，连接后会自动开启（也可使用鼠标、触摸或键盘操作）";
+    case "NotReadableError":
+    case "AbortError":
+      return "摄像头无法读取：它可能正被其他应用或标签页占用，请关闭后点击「开启手势识别」";
+    default:
+      return `无法打开摄像头：${error?.message ?? error}`;
+  }
+}
+
+function cameraError(error) {
+  return new Error(describeCameraError(error), { cause: error });
+}
+
+function stopTracks(stream) {
+  stream?.getTracks().forEach((track) => track.stop());
+}
+
+// Owns the camera stream shown in `videoElement`. Opens the device chosen
+// with selectDevice() (remembered in localStorage), falling back to any
+// camera when it is missing, and reconnects on its own while started: after
+// the track ends, when the chosen device is unplugged, and when a camera is
+// plugged in again. Emits "devices" (list of { deviceId, label }), "start"
+// ({ deviceId, width, height }), "status" ({ message }) and "error" (Error
+// whose message explains what to do; the original is its `cause`).
+export class CameraManager extends EventEmitter {
+  constructor(videoElement, options = {}) {
+    super();
+    this.videoElement = videoElement;
+    this.options = {
+      resolution: CONFIG.webcam.resolution,
+      recoveryDelay: CONFIG.webcam.recoveryDelay,
+      ...options,
+    };
+    this.devices = [];
+    this.deviceId = loadCameraDevice();
+    this.stream = null;
+    // Whether the camera should be on; recovery only runs while it is.
+    this.wanted = false;
+    this.opening = null;
+    this.recoveryTimer = null;
+    this.disposed = false;
+
+    this._handleDeviceChange = this._handleDeviceChange.bind(this);
+    this._handleTrackEnded = this._handleTrackEnded.bind(this);
+    navigator.mediaDevices?.addEventListener?.("devicechange", this._handleDeviceChange);
+  }
+
+  get active() {
+    return this.stream !== null;
+  }
+
+  // The device actually in use, which differs from deviceId after a fallback.
+  get currentDeviceId() {
+    return this.stream?.getVideoTracks()[0]?.getSettings().deviceId ?? null;
+  }
+
+  // Labels are empty until camera permission has been granted once.
+  async refreshDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return this.devices;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    this.devices = devices
+      .filter((device) => device.kind === "videoinput")
+      .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `摄像头 ${index + 1}` }));
+    this._emit("devices", this.devices);
+    return this.devices;
+  }
+
+  // Rejects with a described error (see describeCameraError); a missing
+  // camera still leaves the manager waiting for one to be plugged in.
+  start() {
+    this.wanted = true;
+    return this._open().catch((error) => {
+      if (!MISSING_DEVICE_ERRORS.includes(error.cause?.name)) {
+        this.wanted = false;
+      }
+      throw error;
+    });
+  }
+
+  stop() {
+    this.wanted = false;
+    clearTimeout(this.recoveryTimer);
+    this._close();
+  }
+
+  // null goes back to the default front camera. Reopens the stream when on.
+  async selectDevice(deviceId) {
+    this.deviceId = deviceId || null;
+    saveCameraDevice(this.deviceId);
+    if (this.active) {
+      await this._reopen();
+    }
+  }
+
+  async setResolution(resolution) {
+    this.options.resolution = resolution;
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track) return;
+    try {
+      await track.applyConstraints(this._videoConstraints(this.currentDeviceId).video);
+    } catch (error) {
+      await this._reopen();
+    }
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.stop();
+    navigator.mediaDevices?.removeEventListener?.("devicechange", this._handleDeviceChange);
+    this.removeAllListeners();
+  }
+
+  _videoConstraints(deviceId) {
+    const { width, height } = CAMERA_RESOLUTIONS[this.options.resolution] ?? CAMERA_RESOLUTIONS.medium;
+    return {
+      video: {
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: "user" }),
+        width: { ideal: width },
+        height: { ideal: height },
+      },
+      audio: false,
+    };
+  }
+
+  // Concurrent calls share one attempt.
+  _open() {
+    this.opening ??= this._openStream().finally(() => {
+      this.opening = null;
+    });
+    return this.opening;
+  }
+
+  async _openStream() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw new Error("当前浏览器或页面不支持摄像头（需要 HTTPS 或 localhost）");
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(this._videoConstraints(this.deviceId));
+    } catch (error) {
+      if (!this.deviceId || !MISSING_DEVICE_ERRORS.includes(error.name)) throw cameraError(error);
+      // The chosen camera is unplugged; any camera beats none. It is switched
+      // back to once it reappears.
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(this._videoConstraints(null));
+      } catch (fallbackError) {
+        throw cameraError(fallbackError);
+      }
+    }
+
+    // Stopped or torn down while the permission prompt was open.
+    if (this.disposed || !this.wanted) {
+      stopTracks(stream);
+      return;
+    }
+
+    this._close();
+    this.stream = stream;
+    stream.getVideoTracks()[0]?.addEventListener("ended", this._handleTrackEnded);
+    this.videoElement.srcObject = stream;
+    await this.videoElement.play();
+    await this.refreshDevices();
+
+    const { deviceId = null, width, height } = stream.getVideoTracks()[0]?.getSettings() ?? {};
+    this._emit("start", { deviceId, width, height });
+  }
+
+  _close() {
+    if (!this.stream) return;
+    this.stream.getVideoTracks()[0]?.removeEventListener("ended", this._handleTrackEnded);
+    stopTracks(this.stream);
+    this.stream = null;
+    this.videoElement.srcObject = null;
+  }
+
+  // Most cameras cannot be opened twice, so the old stream goes first.
+  async _reopen() {
+    this._close();
+    try {
+      await this._open();
+    } catch (error) {
+      this._emit("error", error);
+    }
+  }
+
+  _handleTrackEnded() {
+    if (!this.wanted) return;
+    this._close();
+    this._emit("status", { message: "摄像头已断开，正在重新连接…" });
+    this._scheduleRecovery();
+  }
+
+  _scheduleRecovery() {
+    clearTimeout(this.recoveryTimer);
+    this.recoveryTimer = setTimeout(() => this._recover(), this.options.recoveryDelay);
+  }
+
+  async _recover() {
+    if (!this.wanted || this.active || this.disposed) return;
+    try {
+      await this._open();
+      this._emit("status", { message: "摄像头已重新连接" });
+    } catch (error) {
+      // With no camera left, devicechange retries once one is plugged in.
+      if (MISSING_DEVICE_ERRORS.includes(error.cause?.name)) {
+        this._emit("status", { message: "未找到摄像头，连接摄像头后将自动恢复" });
+        return;
+      }
+      this._emit("error", error);
+    }
+  }
+
+  async _handleDeviceChange() {
+    let devices;
+    try {
+      devices = await this.refreshDevices();
+    } catch (error) {
+      return;
+    }
+    if (!this.wanted || this.disposed) return;
+
+    const ids = devices.map((device) => device.deviceId);
+    const current = this.currentDeviceId;
+    if (!this.active) {
+      if (devices.length && !this.opening) this._scheduleRecovery();
+    } else if (current && !ids.includes(current)) {
+      // Some browsers unplug the device without ending its track.
+      this._handleTrackEnded();
+    } else if (this.deviceId && current !== this.deviceId && ids.includes(this.deviceId)) {
+      this._emit("status", { message: "已切换回所选摄像头" });
+      await this._reopen();
+    }
+  }
+}
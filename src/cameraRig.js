@@ -0,0 +1,117 @@
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+
+const ORIGIN = new THREE.Vector3();
+const PHI_EPSILON = 0.16;
+
+const _focusPosition = new THREE.Vector3();
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Spherical orbit camera. By default it orbits the galaxy centre; focusing a
+// body moves the orbit target onto that body (which keeps moving with the
+// rotating Starfield.group) and scales the zoom range to the body's size.
+export class CameraRig {
+  constructor(camera) {
+    this.camera = camera;
+    this.target = new THREE.Vector3();
+    this.focusBody = null;
+    this.focusSize = 0;
+    this.transition = null;
+    this.reset();
+  }
+
+  get isFocused() {
+    return this.focusBody !== null;
+  }
+
+  get radiusLimits() {
+    if (this.focusBody) {
+      const { focusMinRadiusFactor, focusMaxRadiusFactor } = CONFIG.camera;
+      return { min: this.focusSize * focusMinRadiusFactor, max: this.focusSize * focusMaxRadiusFactor };
+    }
+    return { min: CONFIG.camera.minRadius, max: CONFIG.camera.maxRadius };
+  }
+
+  reset() {
+    this.radius = CONFIG.camera.initialRadius;
+    this.targetRadius = CONFIG.camera.initialRadius;
+    this.theta = Math.PI * 0.45;
+    this.phi = Math.PI * 0.5;
+    this.focusBody = null;
+    this.transition = null;
+    this.target.copy(ORIGIN);
+  }
+
+  // `ratio` runs from 0 (closest) to 1 (farthest) within the current limits.
+  setZoom(ratio, lerpFactor = 1) {
+    const { min, max } = this.radiusLimits;
+    const radius = min + THREE.MathUtils.clamp(ratio, 0, 1) * (max - min);
+    this.targetRadius = THREE.MathUtils.lerp(this.targetRadius, radius, lerpFactor);
+  }
+
+  rotate(movement) {
+    this.theta += movement.x * CONFIG.camera.rotateSensitivity;
+    this.phi += movement.y * CONFIG.camera.rotateSensitivity;
+    this.phi = THREE.MathUtils.clamp(this.phi, PHI_EPSILON, Math.PI - PHI_EPSILON);
+  }
+
+  orbit(deltaTheta) {
+    this.theta += deltaTheta;
+  }
+
+  // `body` needs getWorldPosition(); `size` is its radius in world units.
+  focus(body, size) {
+    if (this.focusBody === body) return;
+    this.focusBody = body;
+    this.focusSize = size;
+    this.targetRadius = size * CONFIG.camera.focusRadiusFactor;
+    this._startTransition(this.targetRadius);
+  }
+
+  clearFocus() {
+    if (!this.focusBody) return;
+    this.focusBody = null;
+    this.targetRadius = CONFIG.camera.initialRadius;
+    this._startTransition(this.targetRadius);
+  }
+
+  _startTransition(toRadius) {
+    this.transition = {
+      fromTarget: this.target.clone(),
+      fromRadius: this.radius,
+      toRadius,
+      elapsed: 0,
+    };
+  }
+
+  update(deltaTime) {
+    const focusPosition = this.focusBody ? this.focusBody.getWorldPosition(_focusPosition) : ORIGIN;
+
+    if (this.transition) {
+      const { transition } = this;
+      transition.elapsed += deltaTime;
+      const t = Math.min(transition.elapsed / CONFIG.camera.focusTransitionDuration, 1);
+      const eased = easeInOutCubic(t);
+      // Interpolate towards the body's current position so the camera lands
+      // on it even though it keeps moving during the flight.
+      this.target.lerpVectors(transition.fromTarget, focusPosition, eased);
+      this.radius = THREE.MathUtils.lerp(transition.fromRadius, transition.toRadius, eased);
+      if (t >= 1) {
+        this.transition = null;
+      }
+    } else {
+      this.target.copy(focusPosition);
+      this.radius = THREE.MathUtils.lerp(this.radius, this.targetRadius, CONFIG.camera.zoomLerpFactor);
+    }
+
+    const x = this.radius * Math.sin(this.phi) * Math.cos(this.theta);
+    const y = this.radius * Math.cos(this.phi);
+    const z = this.radius * Math.sin(this.phi) * Math.sin(this.theta);
+
+    this.camera.position.set(x, y, z).add(this.target);
+    this.camera.lookAt(this.target);
+  }
+}
@@ -0,0 +1,239 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+// First entry MediaRecorder supports wins.
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+// Hand inset size as a share of the video width, and its margin in pixels at
+// 1080p (scaled with the output).
+const INSET_WIDTH = 0.22;
+const INSET_MARGIN = 24;
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("无法生成截图"))), type);
+  });
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+// Draws the selection card from InfoCard.snapshot() in canvas pixels; the
+// DOM card cannot be rasterised, so this is a flat copy of its layout.
+function drawInfoCard(ctx, { rect, title, subtitle, color, fields }, scale) {
+  const padding = 14 * scale;
+  const lineHeight = 20 * scale;
+  const x = rect.x * scale;
+  const y = rect.y * scale;
+  const width = rect.width * scale;
+  const height = padding * 2 + lineHeight * (2.4 + fields.length);
+
+  ctx.save();
+  roundedRect(ctx, x, y, width, height, 14 * scale);
+  ctx.fillStyle = "rgba(6, 7, 18, 0.82)";
+  ctx.fill();
+  ctx.strokeStyle = "rgba(148, 163, 255, 0.25)";
+  ctx.lineWidth = scale;
+  ctx.stroke();
+
+  const swatchRadius = 11 * scale;
+  ctx.beginPath();
+  ctx.arc(x + padding + swatchRadius, y + padding + swatchRadius, swatchRadius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.shadowColor = color;
+  ctx.shadowBlur = 12 * scale;
+  ctx.fill();
+  ctx.shadowBlur = 0;
+
+  const textX = x + padding + swatchRadius * 2 + 10 * scale;
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#e2e8ff";
+  ctx.font = `600 ${15 * scale}px system-ui, sans-serif`;
+  ctx.fillText(title, textX, y + padding);
+  ctx.fillStyle = "rgba(226, 232, 255, 0.65)";
+  ctx.font = `${12 * scale}px system-ui, sans-serif`;
+  ctx.fillText(subtitle, textX, y + padding + lineHeight);
+
+  ctx.font = `${13 * scale}px system-ui, sans-serif`;
+  fields.forEach(([label, value], index) => {
+    const rowY = y + padding + lineHeight * (2.4 + index);
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(226, 232, 255, 0.6)";
+    ctx.fillText(label, x + padding, rowY);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#e2e8ff";
+    ctx.fillText(value, x + width - padding, rowY);
+  });
+  ctx.restore();
+}
+
+// Renders one frame through `postProcessing` at `scale` × the screen
+// resolution (CSS size × devicePixelRatio), limited so neither side exceeds
+// maxSize or the GPU's texture limit, and resolves with a PNG. The frame is
+// copied out and the pixel ratio restored synchronously, so the live view
+// never shows the enlarged buffer. `card` is an InfoCard snapshot in CSS
+// pixels relative to the canvas, or null.
+export function captureImage(postProcessing, options = {}) {
+  const { renderer } = postProcessing;
+  const {
+    scale = CONFIG.capture.resolutionScale,
+    maxSize = CONFIG.capture.maxImageSize,
+    card = null,
+  } = options;
+  const canvas = renderer.domElement;
+  const { clientWidth, clientHeight } = canvas;
+  const limit = Math.min(maxSize, renderer.capabilities.maxTextureSize ?? maxSize);
+  const pixelRatio = Math.min(window.devicePixelRatio * scale, limit / Math.max(clientWidth, clientHeight, 1));
+
+  const output = document.createElement("canvas");
+  const previousRatio = renderer.getPixelRatio();
+  try {
+    postProcessing.setPixelRatio(pixelRatio);
+    postProcessing.render(0);
+    output.width = canvas.width;
+    output.height = canvas.height;
+    // The drawing buffer is not preserved, so it is read in the same task.
+    output.getContext("2d").drawImage(canvas, 0, 0);
+  } finally {
+    postProcessing.setPixelRatio(previousRatio);
+  }
+
+  if (card) {
+    drawInfoCard(output.getContext("2d"), card, output.width / clientWidth);
+  }
+  return canvasToBlob(output, "image/png");
+}
+
+export function isVideoRecordingSupported() {
+  return typeof MediaRecorder !== "undefined" && VIDEO_MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+}
+
+// Records `canvas` to WebM with MediaRecorder. With an inset canvas (the hand
+// skeleton), frames are composited into an offscreen 2D canvas by
+// drawFrame(), which must run right after each render; without one the
+// WebGL canvas is streamed directly. Stops by itself after maxDuration.
+// Options left out are read from CONFIG.capture at each start(). Emits
+// "start", "stop" with { blob, duration } and "error".
+export class CanvasRecorder extends EventEmitter {
+  constructor(canvas, options = {}) {
+    super();
+    this.canvas = canvas;
+    this.options = options;
+    this.recorder = null;
+    this.compositor = null;
+    this.inset = null;
+    this.startedAt = 0;
+    this.stopTimer = null;
+    this.stopping = null;
+  }
+
+  get isRecording() {
+    return this.recorder !== null;
+  }
+
+  get elapsed() {
+    return this.isRecording ? performance.now() - this.startedAt : 0;
+  }
+
+  start({ inset = null } = {}) {
+    if (this.isRecording) return;
+    if (!isVideoRecordingSupported()) {
+      throw new Error("当前浏览器不支持 WebM 视频录制");
+    }
+
+    const {
+      frameRate = CONFIG.capture.videoFrameRate,
+      bitrate = CONFIG.capture.videoBitrate,
+      maxDuration = CONFIG.capture.maxVideoDuration,
+    } = this.options;
+    let source = this.canvas;
+    if (inset) {
+      this.compositor = document.createElement("canvas");
+      this.compositor.width = this.canvas.width;
+      this.compositor.height = this.canvas.height;
+      this.inset = inset;
+      source = this.compositor;
+    }
+
+    const mimeType = VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const stream = source.captureStream(frameRate);
+    const chunks = [];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.addEventListener("error", (event) => {
+      this._emit("error", event.error ?? new Error("视频录制失败"));
+      this.stop();
+    });
+
+    this.stopping = new Promise((resolve) => {
+      recorder.addEventListener("stop", () => {
+        const duration = performance.now() - this.startedAt;
+        const blob = new Blob(chunks, { type: "video/webm" });
+        stream.getTracks().forEach((track) => track.stop());
+        this._reset();
+        this._emit("stop", { blob, duration });
+        resolve(blob);
+      });
+    });
+
+    recorder.start(1000);
+    this.recorder = recorder;
+    this.startedAt = performance.now();
+    this.stopTimer = setTimeout(() => this.stop(), maxDuration);
+    this._emit("start");
+  }
+
+  // Resolves with the recorded WebM, or null when nothing was recording.
+  stop() {
+    if (!this.isRecording) return Promise.resolve(null);
+    clearTimeout(this.stopTimer);
+    if (this.recorder.state !== "inactive") {
+      this.recorder.stop();
+    }
+    return this.stopping;
+  }
+
+  drawFrame() {
+    if (!this.compositor) return;
+    const ctx = this.compositor.getContext("2d");
+    const { width, height } = this.compositor;
+    ctx.drawImage(this.canvas, 0, 0, width, height);
+
+    const inset = this.inset;
+    if (!inset.width || !inset.height) return;
+    const scale = height / 1080;
+    const insetWidth = width * INSET_WIDTH;
+    const insetHeight = insetWidth * (inset.height / inset.width);
+    const x = width - insetWidth - INSET_MARGIN * scale;
+    const y = height - insetHeight - INSET_MARGIN * scale;
+    ctx.save();
+    ctx.fillStyle = "rgba(6, 7, 18, 0.75)";
+    ctx.fillRect(x, y, insetWidth, insetHeight);
+    // Mirrored like the on-screen preview.
+    ctx.translate(x + insetWidth, y);
+    ctx.scale(-1, 1);
+    ctx.drawImage(inset, 0, 0, insetWidth, insetHeight);
+    ctx.restore();
+  }
+
+  dispose() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  _reset() {
+    clearTimeout(this.stopTimer);
+    this.recorder = null;
+    this.compositor = null;
+    this.inset = null;
+    this.stopTimer = null;
+  }
+}
@@ -0,0 +1,132 @@
+import { createBodyIndex, searchBodies } from "./bodySearch.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+const RESULT_LIMIT = 50;
+const SUMMARY_FIELDS = ["temperature", "mass", "gravity", "magnitude", "host"];
+
+function describeBody(userData) {
+  const summary = SUMMARY_FIELDS.map((field) => userData[field]).filter(Boolean).slice(0, 2);
+  return [userData.kindLabel, ...summary].join(" · ");
+}
+
+// Search-and-jump palette over the bodies returned by `getBodies`. The index
+// is rebuilt each time the palette opens, so it always reflects the current
+// star set. Emits "select" with the chosen body.
+export class CommandPalette extends EventEmitter {
+  constructor(element, getBodies) {
+    super();
+    this.element = element;
+    this.getBodies = getBodies;
+    this.index = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.listenerController = new AbortController();
+
+    this.input = element.querySelector("input");
+    this.summaryEl = element.querySelector(".palette-summary");
+    this.listEl = element.querySelector(".palette-results");
+
+    const { signal } = this.listenerController;
+    this.input.addEventListener("input", () => this._search(), { signal });
+    this.input.addEventListener("keydown", (event) => this._onKeyDown(event), { signal });
+    element.addEventListener("click", (event) => {
+      if (event.target === element) this.close();
+    }, { signal });
+  }
+
+  get isOpen() {
+    return !this.element.classList.contains("hidden");
+  }
+
+  open(query = "") {
+    this.index = createBodyIndex(this.getBodies());
+    this.element.classList.remove("hidden");
+    this.input.value = query;
+    this._search();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.element.classList.add("hidden");
+    this.input.blur();
+    this.index = [];
+    this.results = [];
+  }
+
+  dispose() {
+    this.close();
+    this.listenerController.abort();
+    this.listEl.replaceChildren();
+    this.removeAllListeners();
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  _search() {
+    const { total, results } = searchBodies(this.index, this.input.value, RESULT_LIMIT);
+    this.results = results;
+    this.activeIndex = 0;
+    this.summaryEl.textContent = total > results.length
+      ? `共 ${total} 个结果，显示前 ${results.length} 个`
+      : `共 ${total} 个结果`;
+    this._renderResults();
+  }
+
+  _renderResults() {
+    const items = this.results.map((body, index) => {
+      const item = document.createElement("li");
+      item.className = index === this.activeIndex ? "active" : "";
+      const label = document.createElement("strong");
+      label.textContent = body.userData.label;
+      const details = document.createElement("span");
+      details.textContent = describeBody(body.userData);
+      item.append(label, details);
+      item.addEventListener("click", () => this._choose(index));
+      return item;
+    });
+    this.listEl.replaceChildren(...items);
+  }
+
+  _moveActive(step) {
+    if (!this.results.length) return;
+    this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+    this._renderResults();
+    this.listEl.children[this.activeIndex]?.scrollIntoView({ block: "nearest" });
+  }
+
+  _choose(index) {
+    const body = this.results[index];
+    if (!body) return;
+    this.close();
+    this._emit("select", body);
+  }
+
+  _onKeyDown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        this._moveActive(1);
+        break;
+      case "ArrowUp":
+        this._moveActive(-1);
+        break;
+      case "Enter":
+        this._choose(this.activeIndex);
+        break;
+      case "Escape":
+        this.close();
+        break;
+      default:
+        return;
+    }
+    // Keep Escape from also leaving focus mode via the window handler.
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
@@ -9,6 +9,30 @@ export const CONFIG = {
     rotateSensitivity: 3.8,
     zoomLerpFactor: 0.08,
     targetRadiusLerpFactor: 0.25,
+    // Focus mode radii are multiples of the focused body's radius.
+    focusRadiusFactor: 8,
+    focusMinRadiusFactor: 3,
+    focusMaxRadiusFactor: 24,
+    focusTransitionDuration: 1.2,
+  },
+  assets: {
+    // Folder holding the @mediapipe/tasks-vision package (vision_bundle.js and
+    // wasm/), relative to the page. The demo page switches these to
+    // VENDORED_ASSETS (handLandmarker.js) with ?assets=local.
+    mediapipeBaseUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/",
+    handModelUrl: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+    loadTimeout: 30000,
+    // Installs the service worker at serviceWorkerUrl (relative to the page),
+    // which caches the app and these assets so later visits work offline.
+    serviceWorker: false,
+    serviceWorkerUrl: "./sw.js",
+  },
+  webcam: {
+    // Capture size, see CAMERA_RESOLUTIONS in cameraManager.js. The chosen
+    // device is remembered separately, per browser.
+    resolution: "medium",
+    // Wait before reopening a camera whose stream ended.
+    recoveryDelay: 1000,
   },
   gesture: {
     smoothingFactor: 0.28,
@@ -17,6 +41,60 @@ export const CONFIG = {
     fingerBendThreshold: -0.015,
     minExtendedFingersForOpen: 4,
     maxExtendedFingersForFist: 0,
+    // Fraction of fingerBendThreshold a finger must cross to change state.
+    fingerHysteresis: 0.15,
+    minHoldTime: 120,
+    releaseTime: 180,
+    holdEventInterval: 250,
+    useWorker: true,
+    twoHandMode: false,
+    minHandDistance: 0.15,
+    maxHandDistance: 0.75,
+    twoHandRotateSensitivity: 1,
+    // Extra gesture definitions; see gestureRegistry.js for the format.
+    customGestures: [],
+  },
+  gestureActions: {
+    open: ["zoom", "rotate"],
+    fist: ["zoom", "rotate"],
+    neutral: ["zoom", "rotate"],
+    point: ["zoom", "rotate", "select"],
+    pinch: ["screenshot"],
+    "thumbs-up": ["reset-view"],
+    peace: ["toggle-settings"],
+    rock: ["open-search"],
+    three: ["toggle-recording"],
+  },
+  selection: {
+    // Bodies are picked on screen: the one nearest the pointer wins if its
+    // edge is within pickTolerance CSS pixels, however small it is drawn.
+    pickTolerance: 24,
+    // Pulls the cursor ring this share of the way to the hovered body.
+    magneticSnap: true,
+    snapStrength: 0.6,
+    // How long the pointing finger has to rest on a body to select it; 0
+    // leaves air taps as the only way.
+    dwellTime: 900,
+    // The hovered body is kept while the pointer leaves it for this long.
+    hoverGrace: 200,
+    airTap: true,
+    // A tap is the index tip moving tapDepth towards the camera (in landmark
+    // z, relative to the wrist, about image-width units) within tapWindow, or
+    // the thumb tip coming within tapPinchDistance (metres) of the index
+    // finger's middle joint.
+    tapDepth: 0.06,
+    tapWindow: 250,
+    tapPinchDistance: 0.025,
+    tapCooldown: 600,
+  },
+  input: {
+    dragSensitivity: 1,
+    wheelZoomSpeed: 0.00008,
+    pinchZoomSensitivity: 0.2,
+    keyboardRotateStep: 0.01,
+    keyboardZoomStep: 0.008,
+    tapMaxDistance: 6,
+    tapMaxDuration: 300,
   },
   scene: {
     backgroundColor: 0x040610,
@@ -24,17 +102,80 @@ export const CONFIG = {
     fogNear: 36,
     fogFar: 140,
   },
+  postProcessing: {
+    // "off" renders straight to the canvas; "low" runs bloom at half
+    // resolution and skips grain and vignette; "high" enables everything.
+    quality: "high",
+    exposure: 1.1,
+    bloomStrength: 1.1,
+    bloomRadius: 0.45,
+    bloomThreshold: 0.55,
+    outlineColor: 0xf0f6ff,
+    outlineStrength: 3,
+    filmGrain: false,
+    grainIntensity: 0.35,
+    vignette: true,
+    vignetteDarkness: 1.1,
+  },
+  capture: {
+    // Screenshots render at this multiple of the screen resolution (CSS size
+    // × devicePixelRatio), limited so neither side exceeds maxImageSize.
+    resolutionScale: 2,
+    maxImageSize: 8192,
+    includeInfoCard: true,
+    videoFrameRate: 30,
+    videoBitrate: 8000000,
+    // Inset of the hand-skeleton canvas in the corner of recorded video.
+    handInset: true,
+    maxVideoDuration: 120000,
+  },
+  performance: {
+    showOverlay: false,
+    adaptiveQuality: true,
+    // Average frame time (ms) above which quality is lowered, and the share
+    // of it below which quality is raised again.
+    frameBudget: 22,
+    headroom: 0.75,
+    downgradeDelay: 1000,
+    // Doubled, up to maxUpgradeDelay, whenever a raised level has to be
+    // dropped again soon after, so quality does not flip back and forth.
+    upgradeDelay: 5000,
+    maxUpgradeDelay: 60000,
+    maxPixelRatio: 2,
+  },
   starfield: {
+    seed: null,
     radius: 48,
     starCount: 360,
     planetCount: 5,
     backgroundStarCount: 2200,
     rotationSpeed: 0.045,
     backgroundRotationSpeed: 0.01,
+    // "random" generates fictional stars; "catalog" loads catalogUrl.
+    mode: "random",
+    catalogUrl: "./data/bright-stars.json",
+    maxMoonsPerPlanet: 2,
+    showOrbits: true,
+    // Simulation seconds per real second; negative values run orbits backwards.
+    timeScale: 1,
+    minTimeScale: -20,
+    maxTimeScale: 20,
+  },
+  constellations: {
+    lineColor: 0x7dd3fc,
+    highlightColor: 0xfde68a,
+    lineOpacity: 0.55,
+    // World-space distance from a line within which it can be picked.
+    pickThreshold: 0.6,
+  },
+  calibration: {
+    sampleDuration: 1500,
+    settleTime: 900,
   },
   ui: {
     highlightClearDelay: 2200,
     noGestureClearDelay: 800,
     highlightEmptyClearDelay: 600,
+    infoCardHistorySize: 6,
   }
 };
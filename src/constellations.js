@@ -0,0 +1,382 @@
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+export const CONSTELLATIONS_STORAGE_KEY = "starfield.constellations";
+const CONSTELLATIONS_FORMAT = "starfield-constellations";
+const CONSTELLATIONS_VERSION = 1;
+
+// Identifies the star set a constellation file belongs to. Random stars are
+// fully determined by the seed (star n is the same for any starCount above
+// n); catalog stars do not depend on it.
+export function getStarfieldKey(starfield) {
+  return starfield.options.catalog ? { mode: "catalog" } : { mode: "random", seed: starfield.seed };
+}
+
+function keyToString({ mode, seed }) {
+  return mode === "catalog" ? "catalog" : `random:${seed}`;
+}
+
+function describeStarfieldKey(key) {
+  return key?.mode === "catalog" ? "真实星表模式" : `种子为 ${key?.seed} 的星空`;
+}
+
+function isIndex(value, length) {
+  return Number.isInteger(value) && value >= 0 && value < length;
+}
+
+// Resolves one serialized constellation against the current stars; throws
+// when a star is missing or a link is malformed.
+function resolveEntry(entry, starsByLabel) {
+  if (!entry || typeof entry.name !== "string" || entry.name.trim() === "") {
+    throw new Error("星座缺少名称");
+  }
+  if (!Array.isArray(entry.stars) || !Array.isArray(entry.links) || entry.links.length === 0) {
+    throw new Error(`星座「${entry.name}」缺少恒星或连线`);
+  }
+
+  const stars = entry.stars.map((label) => {
+    const star = starsByLabel.get(label);
+    if (!star) {
+      throw new Error(`星座「${entry.name}」中的恒星「${label}」在当前星空中不存在`);
+    }
+    return star;
+  });
+  entry.links.forEach((link) => {
+    if (!Array.isArray(link) || !isIndex(link[0], stars.length) || !isIndex(link[1], stars.length) || link[0] === link[1]) {
+      throw new Error(`星座「${entry.name}」含有无效的连线`);
+    }
+  });
+  return { name: entry.name.trim(), stars, links: entry.links.map(([a, b]) => [a, b]) };
+}
+
+// Validates a constellation file for `starfield` and resolves its star labels.
+// With `skipInvalid`, constellations that no longer fit the stars (e.g. after
+// starCount was lowered) are dropped instead of failing the whole file.
+export function parseConstellations(input, starfield, { skipInvalid = false } = {}) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+
+  if (!data || data.format !== CONSTELLATIONS_FORMAT) {
+    throw new Error("不是有效的星座文件");
+  }
+  if (data.version !== CONSTELLATIONS_VERSION) {
+    throw new Error(`不支持的星座文件版本：${data.version}`);
+  }
+  const expected = getStarfieldKey(starfield);
+  if (!data.starfield || keyToString(data.starfield) !== keyToString(expected)) {
+    throw new Error(`该星座文件属于${describeStarfieldKey(data.starfield)}，当前是${describeStarfieldKey(expected)}`);
+  }
+  if (!Array.isArray(data.constellations)) {
+    throw new Error("星座文件缺少星座列表");
+  }
+
+  const starsByLabel = new Map(starfield.stars.map((star) => [star.userData.label, star]));
+  return data.constellations.flatMap((entry) => {
+    try {
+      return [resolveEntry(entry, starsByLabel)];
+    } catch (error) {
+      if (!skipInvalid) throw error;
+      console.warn("Skipping constellation", error);
+      return [];
+    }
+  });
+}
+
+function createLineGeometry(stars, links) {
+  const positions = new Float32Array(links.length * 6);
+  links.forEach(([a, b], index) => {
+    stars[a].position.toArray(positions, index * 6);
+    stars[b].position.toArray(positions, index * 6 + 3);
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// A named figure of linked stars. Like StarInstance it offers userData and
+// getWorldPosition() (its centre), so the info card, search and camera focus
+// handle it like a body. `links` are index pairs into `stars`.
+export class Constellation {
+  constructor({ name, stars, links }) {
+    this.isConstellation = true;
+    this.stars = stars;
+    this.links = links;
+    this.color = new THREE.Color(CONFIG.constellations.lineColor);
+    this.userData = {
+      type: "constellation",
+      label: name,
+      kindLabel: "星座",
+      memberCount: `${stars.length} 颗`,
+      linkCount: `${links.length} 条`,
+    };
+
+    const material = new THREE.LineBasicMaterial({
+      color: this.color,
+      transparent: true,
+      opacity: CONFIG.constellations.lineOpacity,
+      depthWrite: false,
+    });
+    this.lines = new THREE.LineSegments(createLineGeometry(stars, links), material);
+    this.lines.userData.constellation = this;
+
+    const { center, radius } = this.lines.geometry.boundingSphere;
+    this.center = center;
+    this.radius = radius;
+    this.highlighted = false;
+  }
+
+  get name() {
+    return this.userData.label;
+  }
+
+  getWorldPosition(target = new THREE.Vector3()) {
+    this.lines.updateWorldMatrix(true, false);
+    return target.copy(this.center).applyMatrix4(this.lines.matrixWorld);
+  }
+
+  setHighlighted(highlighted) {
+    this.highlighted = highlighted;
+    this.applyStyle();
+  }
+
+  applyStyle() {
+    const { lineColor, highlightColor, lineOpacity } = CONFIG.constellations;
+    this.color.setHex(this.highlighted ? highlightColor : lineColor);
+    this.lines.material.color.copy(this.color);
+    this.lines.material.opacity = this.highlighted ? 1 : lineOpacity;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      stars: this.stars.map((star) => star.userData.label),
+      links: this.links,
+    };
+  }
+
+  dispose() {
+    this.lines.removeFromParent();
+    this.lines.geometry.dispose();
+    this.lines.material.dispose();
+  }
+}
+
+// The constellations of one starfield, drawn as LineSegments inside
+// `starfield.group` so they turn with the stars, plus the figure being drawn.
+// Saved to localStorage per star set (see getStarfieldKey). Emits "change"
+// when constellations are added or removed and "draft" with
+// { stars, links, drawing } while a figure is drawn.
+export class ConstellationSet extends EventEmitter {
+  constructor(starfield) {
+    super();
+    this.starfield = starfield;
+    this.list = [];
+    this.group = new THREE.Group();
+    this.draft = null;
+    this.draftLines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineDashedMaterial({ dashSize: 0.8, gapSize: 0.5, transparent: true, depthWrite: false })
+    );
+    this.draftLines.visible = false;
+    this.group.add(this.draftLines);
+    starfield.group.add(this.group);
+  }
+
+  get drawing() {
+    return this.draft !== null;
+  }
+
+  getPickableObjects() {
+    return this.list.map((constellation) => constellation.lines);
+  }
+
+  // The constellation a raycaster hit belongs to, or null.
+  resolveIntersection(intersection) {
+    return intersection?.object.userData.constellation ?? null;
+  }
+
+  // Replaces the current constellations with those saved for the starfield's
+  // current star set; call after the stars were rebuilt.
+  load() {
+    this.cancelDraft();
+    this._clearList();
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSTELLATIONS_STORAGE_KEY))?.[keyToString(getStarfieldKey(this.starfield))];
+      if (saved) {
+        parseConstellations(saved, this.starfield, { skipInvalid: true }).forEach((entry) => this._add(entry));
+      }
+    } catch (error) {
+      console.warn("Ignoring unreadable saved constellations", error);
+    }
+    this._emit("change", this.list);
+  }
+
+  remove(constellation) {
+    if (!this.list.includes(constellation)) return;
+    constellation.dispose();
+    this.list = this.list.filter((entry) => entry !== constellation);
+    this._commit();
+  }
+
+  clear() {
+    this._clearList();
+    this._commit();
+  }
+
+  export() {
+    return JSON.stringify(this._serialize(), null, 2);
+  }
+
+  // Adds the constellations from a file made by export(); one with the same
+  // name as an existing constellation replaces it. Throws without changing
+  // anything if the file is invalid or belongs to another star set. Returns
+  // the number imported.
+  import(input) {
+    const entries = parseConstellations(input, this.starfield);
+    const names = new Set(entries.map(({ name }) => name));
+    this.list.filter(({ name }) => names.has(name)).forEach((constellation) => constellation.dispose());
+    this.list = this.list.filter(({ name }) => !names.has(name));
+    entries.forEach((entry) => this._add(entry));
+    this._commit();
+    return entries.length;
+  }
+
+  applyStyle() {
+    this.list.forEach((constellation) => constellation.applyStyle());
+    this.draftLines.material.color.setHex(CONFIG.constellations.highlightColor);
+  }
+
+  // Drawing: each added star is linked to the previous one. liftPen() starts
+  // a new stroke, so the next star is not linked; adding a star already in
+  // the figure links to it and continues from there.
+  startDraft() {
+    this.draft = { stars: [], links: [], anchor: null, steps: [] };
+    this._updateDraft();
+  }
+
+  // Returns false when the star changes nothing (e.g. it is the current one).
+  addStar(star) {
+    const draft = this.draft;
+    if (!draft || !star?.isStarInstance) return false;
+
+    let index = draft.stars.indexOf(star);
+    if (index === draft.anchor && index !== -1) return false;
+    const step = { anchor: draft.anchor, addedStar: index === -1, addedLink: false };
+    if (index === -1) {
+      index = draft.stars.push(star) - 1;
+    }
+    const linked = draft.links.some(([a, b]) => (a === draft.anchor && b === index) || (a === index && b === draft.anchor));
+    if (draft.anchor !== null && !linked) {
+      draft.links.push([draft.anchor, index]);
+      step.addedLink = true;
+    }
+    draft.anchor = index;
+    draft.steps.push(step);
+    this._updateDraft();
+    return true;
+  }
+
+  liftPen() {
+    if (!this.draft || this.draft.anchor === null) return;
+    this.draft.steps.push({ anchor: this.draft.anchor, addedStar: false, addedLink: false });
+    this.draft.anchor = null;
+    this._updateDraft();
+  }
+
+  undo() {
+    const step = this.draft?.steps.pop();
+    if (!step) return;
+    if (step.addedLink) this.draft.links.pop();
+    if (step.addedStar) this.draft.stars.pop();
+    this.draft.anchor = step.anchor;
+    this._updateDraft();
+  }
+
+  // Saves the drawn figure and ends drawing; throws if it has no links yet.
+  finishDraft(name) {
+    if (!this.draft) return null;
+    if (this.draft.links.length === 0) {
+      throw new Error("星座至少需要连接两颗恒星");
+    }
+    const label = name?.trim() || `星座 ${this.list.length + 1}`;
+    const existing = this.list.find((constellation) => constellation.name === label);
+    if (existing) {
+      throw new Error(`已存在名为「${label}」的星座`);
+    }
+
+    const { stars, links } = this.draft;
+    this.cancelDraft();
+    const constellation = this._add({ name: label, stars, links });
+    this._commit();
+    return constellation;
+  }
+
+  cancelDraft() {
+    if (!this.draft) return;
+    this.draft = null;
+    this._updateDraft();
+  }
+
+  dispose() {
+    this.cancelDraft();
+    this._clearList();
+    this.draftLines.geometry.dispose();
+    this.draftLines.material.dispose();
+    this.group.removeFromParent();
+    this.removeAllListeners();
+  }
+
+  _add(entry) {
+    const constellation = new Constellation(entry);
+    this.list.push(constellation);
+    this.group.add(constellation.lines);
+    return constellation;
+  }
+
+  _clearList() {
+    this.list.forEach((constellation) => constellation.dispose());
+    this.list = [];
+  }
+
+  _serialize() {
+    return {
+      format: CONSTELLATIONS_FORMAT,
+      version: CONSTELLATIONS_VERSION,
+      starfield: getStarfieldKey(this.starfield),
+      constellations: this.list.map((constellation) => constellation.toJSON()),
+    };
+  }
+
+  _commit() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONSTELLATIONS_STORAGE_KEY)) ?? {};
+      const key = keyToString(getStarfieldKey(this.starfield));
+      if (this.list.length) {
+        saved[key] = this._serialize();
+      } else {
+        delete saved[key];
+      }
+      localStorage.setItem(CONSTELLATIONS_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn("Failed to save constellations", error);
+    }
+    this._emit("change", this.list);
+  }
+
+  _updateDraft() {
+    const { draftLines } = this;
+    draftLines.geometry.dispose();
+    draftLines.visible = Boolean(this.draft?.links.length);
+    if (draftLines.visible) {
+      draftLines.geometry = createLineGeometry(this.draft.stars, this.draft.links);
+      draftLines.computeLineDistances();
+      draftLines.material.color.setHex(CONFIG.constellations.highlightColor);
+    }
+    this._emit("draft", {
+      stars: this.draft?.stars ?? [],
+      links: this.draft?.links ?? [],
+      drawing: this.drawing,
+    });
+  }
+}
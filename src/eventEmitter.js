@@ -0,0 +1,28 @@
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+
+  _emit(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => {
+      handler(payload);
+    });
+  }
+}
@@ -0,0 +1,34 @@
+import { CONFIG } from "./config.js";
+
+// Continuous actions run on every update while their gesture is held; trigger
+// actions fire once when the gesture is entered.
+export const GESTURE_ACTIONS = {
+  zoom: { continuous: true },
+  rotate: { continuous: true },
+  select: { continuous: true },
+  "reset-view": { continuous: false },
+  "toggle-settings": { continuous: false },
+  screenshot: { continuous: false },
+  "toggle-recording": { continuous: false },
+  "open-search": { continuous: false },
+};
+
+const warnedActions = new Set();
+
+export function getGestureActions(gesture) {
+  const mapped = CONFIG.gestureActions[gesture];
+  const actions = Array.isArray(mapped) ? mapped : mapped ? [mapped] : [];
+
+  return actions.filter((action) => {
+    if (GESTURE_ACTIONS[action]) return true;
+    if (!warnedActions.has(action)) {
+      warnedActions.add(action);
+      console.warn(`Unknown gesture action "${action}" mapped to "${gesture}"`);
+    }
+    return false;
+  });
+}
+
+export function isContinuousAction(action) {
+  return Boolean(GESTURE_ACTIONS[action]?.continuous);
+}
@@ -1,7 +1,9 @@
-import { HandLandmarker, FilesetResolver } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0";
 import { CONFIG } from "./config.js";
-
-const MODEL_ASSET_BASE = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm";
+import { EventEmitter } from "./eventEmitter.js";
+import { createHandLandmarker, resolveAssetUrls, serializeResults } from "./handLandmarker.js";
+import { createRecording, parseRecording } from "./gestureRecording.js";
+import { createDefaultGestureRegistry } from "./gestureRegistry.js";
+import { GestureStateMachine } from "./gestureStateMachine.js";
 
 const HAND_CONNECTIONS = [
   [0, 1],
@@ -27,6 +29,11 @@ const HAND_CONNECTIONS = [
   [0, 17],
 ];
 
+// A worker that takes longer than this for one frame is taken to have hung.
+const WORKER_DETECTION_TIMEOUT = 5000;
+// Failed detections in a row after which the worker is given up on.
+const WORKER_ERROR_LIMIT = 3;
+
 const FINGER_TIPS = [4, 8, 12, 16, 20];
 const FINGER_PIPS = [3, 6, 10, 14, 18];
 const FINGER_MCP = [2, 5, 9, 13, 17];
@@ -35,6 +42,10 @@ function lerp(current, target, smoothing) {
   return current + (target - current) * smoothing;
 }
 
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
 function distance3(a, b) {
   const dx = a.x - b.x;
   const dy = a.y - b.y;
@@ -50,7 +61,11 @@ function subtract3(a, b) {
   return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) };
 }
 
-function computeFingerStates(worldLandmarks) {
+// With previous states, a finger only changes state once it crosses the bend
+// threshold by the hysteresis margin, which stops flicker near the threshold.
+export function computeFingerStates(worldLandmarks, previousStates = null) {
+  const threshold = CONFIG.gesture.fingerBendThreshold;
+  const margin = Math.abs(threshold) * CONFIG.gesture.fingerHysteresis;
   const states = [];
   for (let i = 0; i < 5; i += 1) {
     const tipIndex = FINGER_TIPS[i];
@@ -65,12 +80,16 @@ function computeFingerStates(worldLandmarks) {
     const v2 = subtract3(mcp, pip);
     const dot = dot3(v1, v2);
 
-    states.push(dot < CONFIG.gesture.fingerBendThreshold);
+    let limit = threshold;
+    if (previousStates) {
+      limit = previousStates[i] ? threshold + margin : threshold - margin;
+    }
+    states.push(dot < limit);
   }
   return states;
 }
 
-function computeOpenness(worldLandmarks) {
+export function computeOpenness(worldLandmarks) {
   const wrist = worldLandmarks[0];
   const tipIndices = [8, 12, 16, 20];
   let sum = 0;
@@ -80,23 +99,44 @@ function computeOpenness(worldLandmarks) {
   return sum / tipIndices.length;
 }
 
-function determineGesture(fingerStates) {
-  const extendedCount = fingerStates.filter(Boolean).length;
+let defaultRegistry = null;
 
-  if (extendedCount >= CONFIG.gesture.minExtendedFingersForOpen) {
-    return "open";
-  }
+function getDefaultRegistry() {
+  defaultRegistry ??= createDefaultGestureRegistry();
+  return defaultRegistry;
+}
 
-  if (extendedCount === CONFIG.gesture.maxExtendedFingersForFist) {
-    return "fist";
-  }
+export function determineGesture(fingerStates, { landmarks = null, worldLandmarks = null, registry = getDefaultRegistry() } = {}) {
+  return registry.match({ fingerStates, landmarks, worldLandmarks });
+}
 
-  // Pointing: Index extended, others flexed (thumb can be flexible)
-  if (fingerStates[1] && !fingerStates[2] && !fingerStates[3] && !fingerStates[4]) {
-    return "point";
-  }
+// MediaPipe labels handedness as if the image were mirrored; the video we feed
+// it is not, so flip the label to name the user's actual hand.
+function readHandedness(results, index) {
+  const label = results.handednesses?.[index]?.[0]?.categoryName;
+  if (label === "Left") return "Right";
+  if (label === "Right") return "Left";
+  return null;
+}
+
+function rescale(value, fromMin, fromMax, toMin, toMax) {
+  const ratio = (value - fromMin) / (fromMax - fromMin);
+  return toMin + Math.min(Math.max(ratio, 0), 1) * (toMax - toMin);
+}
 
-  return "neutral";
+function supportsWorkerDetection() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    (typeof VideoFrame !== "undefined" || typeof createImageBitmap === "function")
+  );
+}
+
+async function captureFrame(video, { bitmap = false } = {}) {
+  if (!bitmap && typeof VideoFrame !== "undefined") {
+    return new VideoFrame(video);
+  }
+  return createImageBitmap(video);
 }
 
 function resizeCanvasToDisplaySize(canvas, video) {
@@ -109,42 +149,93 @@ function resizeCanvasToDisplaySize(canvas, video) {
   }
 }
 
-export class GestureController {
+// The controller does not open the camera, but it is the last consumer of the
+// stream, so tearing it down turns the camera off.
+function stopVideoStream(videoElement) {
+  const stream = videoElement?.srcObject;
+  if (!stream) return;
+  stream.getTracks?.().forEach((track) => track.stop());
+  videoElement.srcObject = null;
+}
+
+export class GestureController extends EventEmitter {
   constructor(videoElement, canvasElement, options = {}) {
+    super();
     this.videoElement = videoElement;
     this.canvasElement = canvasElement;
-    this.ctx = canvasElement.getContext("2d", { alpha: true });
+    this.ctx = canvasElement?.getContext("2d", { alpha: true }) ?? null;
 
-    this.listeners = new Map();
     this.running = false;
     this.ready = false;
+    this.disposed = false;
 
     this.options = {
       smoothingFactor: CONFIG.gesture.smoothingFactor,
+      useWorker: CONFIG.gesture.useWorker,
+      twoHandMode: CONFIG.gesture.twoHandMode,
       maxFPS: 60,
       ...options,
     };
 
+    this.registry = this.options.registry ?? createDefaultGestureRegistry();
+    this.calibration = null;
+    this.stateMachine = new GestureStateMachine(this.options.stateMachine);
     this.model = null;
+    this.worker = null;
+    this.pendingDetection = false;
+    this.detectionTimer = null;
+    // Set while the main-thread model loads after the worker failed.
+    this.loadingFallback = false;
+    // Some tasks-vision builds reject VideoFrame input; ImageBitmap is the
+    // retry before the worker is given up on.
+    this.captureBitmaps = false;
+    this.workerErrors = 0;
+    this.recording = null;
+    this.recordingStartedAt = 0;
+    // The replay in progress ({ stopped, superseded }); a newer replay marks
+    // it superseded so that it ends without reporting or resuming anything.
+    this.activeReplay = null;
+    // Live detection paused by a replay, to be restarted when it ends.
+    this.resumeAfterReplay = false;
     this.lastVideoTime = -1;
     this.prevHandPosition = null;
+    this.prevFingerStates = null;
+    this.prevTwoHandAngle = null;
     this.smoothed = {
       openness: 0,
       position: { x: 0, y: 0 },
+      handDistance: 0,
+      handAngle: 0,
     };
   }
 
+  get stableGesture() {
+    return this.stateMachine.stable;
+  }
+
+  get numHands() {
+    return this.options.twoHandMode ? 2 : 1;
+  }
+
   async initialize() {
     try {
-      const fileset = await FilesetResolver.forVisionTasks(MODEL_ASSET_BASE);
-      this.model = await HandLandmarker.createFromOptions(fileset, {
-        baseOptions: {
-          modelAssetPath: `${MODEL_ASSET_BASE}/hand_landmarker.task`,
-          delegate: "GPU",
-        },
-        runningMode: "VIDEO",
-        numHands: 1,
-      });
+      if (this.options.useWorker && supportsWorkerDetection()) {
+        try {
+          await this._initializeWorker();
+        } catch (error) {
+          console.warn("Worker hand detection unavailable, using main thread", error);
+          this._terminateWorker();
+        }
+      }
+
+      if (!this.worker) {
+        this.model = await createHandLandmarker({ numHands: this.numHands, urls: resolveAssetUrls() });
+      }
+      // dispose() may have been called while the model was loading.
+      if (this.disposed) {
+        this._releaseModel();
+        return;
+      }
       this.ready = true;
       this._emit("status", { message: "手势识别已就绪" });
     } catch (error) {
@@ -153,7 +244,15 @@ export class GestureController {
     }
   }
 
+  get replaying() {
+    return this.activeReplay !== null;
+  }
+
   start() {
+    if (this.replaying) {
+      this.resumeAfterReplay = true;
+      return;
+    }
     if (!this.ready || this.running) return;
     this.running = true;
     this.lastVideoTime = -1;
@@ -162,37 +261,299 @@ export class GestureController {
 
   stop() {
     this.running = false;
+    this.resumeAfterReplay = false;
+  }
+
+  // Unlike stop(), this is final: it closes the HandLandmarker (or its
+  // worker), stops the camera tracks and drops every listener.
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    this.stop();
+    this.stopReplay();
+    this.recording = null;
+    this._releaseModel();
+    stopVideoStream(this.videoElement);
+    if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+    }
+    this.removeAllListeners();
+  }
+
+  _releaseModel() {
+    this.ready = false;
+    this._terminateWorker();
+    this.model?.close();
+    this.model = null;
+  }
+
+  // A calibration profile maps the user's measured openness range onto the
+  // configured one and their pointing range onto the full screen, so
+  // consumers keep working in the usual units. Pass null to clear it.
+  setCalibration(profile) {
+    this.calibration = profile;
+  }
+
+  _calibrateOpenness(openness) {
+    if (!this.calibration) return openness;
+    const { minOpenness, maxOpenness } = CONFIG.gesture;
+    return rescale(openness, this.calibration.minOpenness, this.calibration.maxOpenness, minOpenness, maxOpenness);
   }
 
-  on(event, handler) {
-    if (!this.listeners.has(event)) {
-      this.listeners.set(event, new Set());
+  _calibratePointer(pointer) {
+    if (!this.calibration) return pointer;
+    const { minX, maxX, minY, maxY } = this.calibration.pointerBounds;
+    return {
+      x: rescale(pointer.x, minX, maxX, 0, 1),
+      y: rescale(pointer.y, minY, maxY, 0, 1),
+    };
+  }
+
+  registerGesture(definition) {
+    return this.registry.register(definition);
+  }
+
+  async setTwoHandMode(enabled) {
+    this.options.twoHandMode = enabled;
+    this._resetTracking();
+    if (this.worker) {
+      this.worker.postMessage({ type: "options", numHands: this.numHands });
+    } else if (this.model) {
+      await this.model.setOptions({ numHands: this.numHands });
     }
-    this.listeners.get(event).add(handler);
   }
 
-  off(event, handler) {
-    this.listeners.get(event)?.delete(handler);
+  startRecording() {
+    this.recording = createRecording();
+    this.recordingStartedAt = performance.now();
+    this._emit("status", { message: "正在录制手势…" });
   }
 
-  _emit(event, payload) {
-    const handlers = this.listeners.get(event);
-    if (!handlers) return;
-    handlers.forEach((handler) => {
-      handler(payload);
+  stopRecording() {
+    const { recording } = this;
+    this.recording = null;
+    if (recording) {
+      this._emit("status", { message: `手势录制完成，共 ${recording.frames.length} 帧` });
+    }
+    return recording;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // Feeds a recording through the same analysis path as live detection. With
+  // speed = Infinity all frames are processed back to back, which is what
+  // headless regression runs want. Live detection pauses meanwhile and
+  // resumes afterwards; a second replay cancels the first.
+  async replay(recording, { speed = 1 } = {}) {
+    if (!(speed > 0)) {
+      throw new Error(`回放速度必须大于 0：${speed}`);
+    }
+    const { frames } = parseRecording(recording);
+    const resume = this.running || this.resumeAfterReplay;
+    this.stop();
+    this.resumeAfterReplay = resume;
+
+    const run = { stopped: false, superseded: false };
+    if (this.activeReplay) this.activeReplay.superseded = true;
+    this.activeReplay = run;
+    this._resetTracking();
+    this._emit("status", { message: "正在回放手势录制" });
+
+    let completed = false;
+    try {
+      let previousTimestamp = frames[0]?.timestamp ?? 0;
+      for (const frame of frames) {
+        const wait = (frame.timestamp - previousTimestamp) / speed;
+        previousTimestamp = frame.timestamp;
+        if (wait > 0) {
+          await new Promise((resolve) => setTimeout(resolve, wait));
+        }
+        if (run.stopped || run.superseded) return;
+        this._handleResults(frame, frame.timestamp);
+      }
+      completed = true;
+    } finally {
+      // A replay that took over leaves resuming to the one that replaced it.
+      if (!run.superseded) {
+        if (this.activeReplay === run) this.activeReplay = null;
+        this._emit("status", { message: completed ? "手势回放结束" : "手势回放已停止" });
+        if (this.resumeAfterReplay && !this.disposed) {
+          this.resumeAfterReplay = false;
+          this.start();
+        }
+      }
+    }
+  }
+
+  stopReplay() {
+    if (!this.activeReplay) return;
+    this.activeReplay.stopped = true;
+    this.activeReplay = null;
+  }
+
+  _resetTracking() {
+    this.stateMachine.reset();
+    this.prevHandPosition = null;
+    this.prevFingerStates = null;
+    this.prevTwoHandAngle = null;
+    this.smoothed = {
+      openness: 0,
+      position: { x: 0, y: 0 },
+      handDistance: 0,
+      handAngle: 0,
+    };
+  }
+
+  _initializeWorker() {
+    const worker = new Worker(new URL("./handDetectionWorker.js", import.meta.url), { type: "module" });
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        worker.removeEventListener("message", handleInitMessage);
+        worker.removeEventListener("error", handleInitError);
+      };
+      const fail = (error) => {
+        cleanup();
+        worker.terminate();
+        reject(error);
+      };
+      const handleInitMessage = ({ data }) => {
+        if (data?.type === "ready") {
+          cleanup();
+          worker.addEventListener("message", (event) => this._handleWorkerMessage(event.data));
+          worker.addEventListener("error", (event) => {
+            this._fallBackToMainThread(event.error ?? new Error(event.message || "手势识别线程出错"));
+          });
+          this.worker = worker;
+          resolve();
+        } else if (data?.type === "error") {
+          fail(new Error(data.message));
+        }
+      };
+      const handleInitError = (event) => {
+        fail(event.error ?? new Error(event.message || "手势识别线程启动失败"));
+      };
+
+      worker.addEventListener("message", handleInitMessage);
+      worker.addEventListener("error", handleInitError);
+      // The worker has its own CONFIG, so asset settings are passed along.
+      worker.postMessage({
+        type: "init",
+        numHands: this.numHands,
+        urls: resolveAssetUrls(),
+        timeout: CONFIG.assets.loadTimeout,
+      });
     });
   }
 
+  _terminateWorker() {
+    if (!this.worker) return;
+    this.worker.postMessage({ type: "close" });
+    this.worker = null;
+    this._finishDetection();
+  }
+
+  // Detection goes on with the main-thread model after the worker crashed or
+  // hung, only slower.
+  async _fallBackToMainThread(error) {
+    const { worker } = this;
+    if (!worker) return;
+    this._terminateWorker();
+    worker.terminate();
+    this._emit("error", error);
+    this._emit("status", { message: "手势识别线程出错，已改为在主线程中识别" });
+
+    this.loadingFallback = true;
+    try {
+      this.model = await createHandLandmarker({ numHands: this.numHands, urls: resolveAssetUrls() });
+      if (this.disposed) this._releaseModel();
+    } catch (fallbackError) {
+      this.ready = false;
+      this.running = false;
+      this._emit("error", fallbackError);
+    } finally {
+      this.loadingFallback = false;
+    }
+  }
+
+  _finishDetection() {
+    clearTimeout(this.detectionTimer);
+    this.pendingDetection = false;
+  }
+
+  _handleWorkerMessage(message) {
+    if (message.type === "result") {
+      this._finishDetection();
+      this.workerErrors = 0;
+      if (this.running) {
+        this._handleResults(message.results, message.timestamp);
+      }
+    } else if (message.type === "error") {
+      const detecting = this.pendingDetection;
+      this._finishDetection();
+      if (detecting) {
+        this._handleDetectionError(new Error(message.message));
+      } else {
+        this._emit("error", new Error(message.message));
+      }
+    }
+  }
+
+  // A frame the worker cannot detect on is likely to fail again on every
+  // frame, so errors are not reported one by one: the first failure retries
+  // with ImageBitmap frames, repeated failures fall back to the main thread.
+  _handleDetectionError(error) {
+    this.workerErrors += 1;
+    if (!this.captureBitmaps && typeof VideoFrame !== "undefined" && typeof createImageBitmap === "function") {
+      console.warn("Worker hand detection failed on VideoFrame input, retrying with ImageBitmap", error);
+      this.captureBitmaps = true;
+      this.workerErrors = 0;
+    } else if (this.workerErrors >= WORKER_ERROR_LIMIT) {
+      this._fallBackToMainThread(error);
+    }
+  }
+
+  async _detectInWorker() {
+    this.pendingDetection = true;
+    try {
+      const frame = await captureFrame(this.videoElement, { bitmap: this.captureBitmaps });
+      // Torn down while the frame was being captured.
+      if (!this.worker) return;
+      this.worker.postMessage({ type: "detect", frame, timestamp: performance.now() }, [frame]);
+      this.detectionTimer = setTimeout(() => {
+        this._fallBackToMainThread(new Error("手势识别线程无响应"));
+      }, WORKER_DETECTION_TIMEOUT);
+    } catch (error) {
+      this._finishDetection();
+      this._emit("error", error);
+    }
+  }
+
   _loop() {
     if (!this.running) return;
 
     const processFrame = () => {
-      if (!this.model) {
+      if (!this.running) return;
+
+      if (this.loadingFallback) {
+        requestAnimationFrame(this._loop.bind(this));
+        return;
+      }
+
+      if (!this.model && !this.worker) {
         this._emit("error", new Error("手势模型尚未加载"));
         this.running = false;
         return;
       }
 
+      // One frame in flight at a time; newer frames are simply skipped.
+      if (this.pendingDetection) {
+        requestAnimationFrame(this._loop.bind(this));
+        return;
+      }
+
       const currentTime = this.videoElement.currentTime;
       if (currentTime === this.lastVideoTime) {
         requestAnimationFrame(this._loop.bind(this));
@@ -205,17 +566,12 @@ export class GestureController {
         return;
       }
 
-      const results = this.model.detectForVideo(this.videoElement, performance.now());
-
-      this._drawDetections(results);
-      if (results.landmarks?.length) {
-        const [landmarks] = results.landmarks;
-        const [worldLandmarks] = results.worldLandmarks;
-        const data = this._analyzeLandmarks(landmarks, worldLandmarks);
-        this._emit("update", data);
+      if (this.worker) {
+        this._detectInWorker();
       } else {
-        this.prevHandPosition = null;
-        this._emit("update", { gesture: "none", present: false });
+        const startedAt = performance.now();
+        const results = this.model.detectForVideo(this.videoElement, startedAt);
+        this._handleResults(results, startedAt);
       }
 
       requestAnimationFrame(this._loop.bind(this));
@@ -224,10 +580,48 @@ export class GestureController {
     requestAnimationFrame(processFrame);
   }
 
+  _handleResults(results, timestamp = performance.now()) {
+    if (this.recording && !this.replaying) {
+      this.recording.frames.push({
+        timestamp: performance.now() - this.recordingStartedAt,
+        ...structuredClone(serializeResults(results)),
+      });
+    }
+
+    this._drawDetections(results);
+
+    let data;
+    if (this.options.twoHandMode && results.landmarks?.length >= 2) {
+      this.prevFingerStates = null;
+      data = this._analyzeTwoHands(results);
+    } else if (results.landmarks?.length) {
+      const [landmarks] = results.landmarks;
+      const [worldLandmarks] = results.worldLandmarks;
+      this.prevTwoHandAngle = null;
+      data = this._analyzeLandmarks(landmarks, worldLandmarks, readHandedness(results, 0));
+    } else {
+      this.prevHandPosition = null;
+      this.prevFingerStates = null;
+      this.prevTwoHandAngle = null;
+      data = { gesture: "none", present: false };
+    }
+
+    // Transition events go out before the update so listeners see the new
+    // stable gesture in both.
+    const transitions = this.stateMachine.update(data.gesture, timestamp);
+    transitions.forEach(({ type, ...event }) => this._emit(type, event));
+    // `timestamp` is when detection of this frame started, so this is the
+    // detection latency; recorded frames carry their original timestamps.
+    const latency = this.replaying ? null : performance.now() - timestamp;
+    this._emit("update", { ...data, stableGesture: this.stateMachine.stable, latency });
+  }
+
   _drawDetections(results) {
     const { ctx } = this;
     if (!ctx) return;
-    resizeCanvasToDisplaySize(this.canvasElement, this.videoElement);
+    if (this.videoElement) {
+      resizeCanvasToDisplaySize(this.canvasElement, this.videoElement);
+    }
     ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
     if (!results.landmarks?.length) return;
@@ -239,30 +633,31 @@ export class GestureController {
     ctx.strokeStyle = "rgba(118, 173, 255, 0.9)";
     ctx.fillStyle = "rgba(118, 173, 255, 1)";
 
-    const [landmarks] = results.landmarks;
-
-    HAND_CONNECTIONS.forEach(([startIdx, endIdx]) => {
-      const start = landmarks[startIdx];
-      const end = landmarks[endIdx];
-      ctx.beginPath();
-      ctx.moveTo(start.x * ctx.canvas.width, start.y * ctx.canvas.height);
-      ctx.lineTo(end.x * ctx.canvas.width, end.y * ctx.canvas.height);
-      ctx.stroke();
-    });
+    results.landmarks.forEach((landmarks) => {
+      HAND_CONNECTIONS.forEach(([startIdx, endIdx]) => {
+        const start = landmarks[startIdx];
+        const end = landmarks[endIdx];
+        ctx.beginPath();
+        ctx.moveTo(start.x * ctx.canvas.width, start.y * ctx.canvas.height);
+        ctx.lineTo(end.x * ctx.canvas.width, end.y * ctx.canvas.height);
+        ctx.stroke();
+      });
 
-    landmarks.forEach((landmark, index) => {
-      const radius = FINGER_TIPS.includes(index) ? 6 : 4;
-      ctx.beginPath();
-      ctx.arc(landmark.x * ctx.canvas.width, landmark.y * ctx.canvas.height, radius, 0, Math.PI * 2);
-      ctx.fill();
+      landmarks.forEach((landmark, index) => {
+        const radius = FINGER_TIPS.includes(index) ? 6 : 4;
+        ctx.beginPath();
+        ctx.arc(landmark.x * ctx.canvas.width, landmark.y * ctx.canvas.height, radius, 0, Math.PI * 2);
+        ctx.fill();
+      });
     });
 
     ctx.restore();
   }
 
-  _analyzeLandmarks(landmarks, worldLandmarks) {
-    const fingerStates = computeFingerStates(worldLandmarks);
-    const gesture = determineGesture(fingerStates);
+  _analyzeLandmarks(landmarks, worldLandmarks, handedness = null) {
+    const fingerStates = computeFingerStates(worldLandmarks, this.prevFingerStates);
+    this.prevFingerStates = fingerStates;
+    const gesture = determineGesture(fingerStates, { landmarks, worldLandmarks, registry: this.registry });
     const openness = computeOpenness(worldLandmarks);
 
     const smoothing = this.options.smoothingFactor;
@@ -293,11 +688,71 @@ export class GestureController {
     return {
       gesture,
       present: true,
-      openness: this.smoothed.openness,
+      openness: this._calibrateOpenness(this.smoothed.openness),
+      rawOpenness: this.smoothed.openness,
       fingerStates,
       position: this.smoothed.position,
       movement,
-      pointer,
+      pointer: this._calibratePointer(pointer),
+      rawPointer: pointer,
+      // For air taps: the index tip pushed towards the camera, or the thumb
+      // pressed against the index finger.
+      pointerDepth: indexTip.z ?? 0,
+      thumbIndexDistance: distance3(worldLandmarks[4], worldLandmarks[6]),
+      handedness,
+    };
+  }
+
+  // Both wrists, in mirrored screen space: their distance drives zoom and the
+  // rotation of the line between them orbits the camera.
+  _analyzeTwoHands(results) {
+    const hands = [0, 1]
+      .map((index) => ({
+        landmarks: results.landmarks[index],
+        worldLandmarks: results.worldLandmarks[index],
+        handedness: readHandedness(results, index),
+      }))
+      // Order by on-screen position so the angle does not flip by π when
+      // MediaPipe swaps the order of the hands between frames.
+      .sort((a, b) => b.landmarks[0].x - a.landmarks[0].x);
+
+    const [first, second] = hands.map(({ landmarks }) => ({ x: 1 - landmarks[0].x, y: landmarks[0].y }));
+    const distance = Math.hypot(second.x - first.x, second.y - first.y);
+    const angle = Math.atan2(second.y - first.y, second.x - first.x);
+
+    const smoothing = this.options.smoothingFactor;
+    let angleDelta = 0;
+    if (this.prevTwoHandAngle === null) {
+      this.smoothed.handDistance = distance;
+      this.smoothed.handAngle = angle;
+    } else {
+      this.smoothed.handDistance = lerp(this.smoothed.handDistance, distance, smoothing);
+      const previousAngle = this.smoothed.handAngle;
+      this.smoothed.handAngle = wrapAngle(previousAngle + wrapAngle(angle - previousAngle) * smoothing);
+      angleDelta = wrapAngle(this.smoothed.handAngle - previousAngle);
+    }
+    this.prevTwoHandAngle = this.smoothed.handAngle;
+    this.prevHandPosition = null;
+
+    return {
+      gesture: "two-hand",
+      present: true,
+      movement: { x: 0, y: 0 },
+      pointer: null,
+      hands: hands.map(({ landmarks, worldLandmarks, handedness }) => {
+        const fingerStates = computeFingerStates(worldLandmarks);
+        return {
+          handedness,
+          gesture: determineGesture(fingerStates, { landmarks, worldLandmarks, registry: this.registry }),
+          fingerStates,
+          openness: computeOpenness(worldLandmarks),
+        };
+      }),
+      twoHand: {
+        distance: this.smoothed.handDistance,
+        angle: this.smoothed.handAngle,
+        angleDelta,
+      },
     };
   }
 }
@@ -0,0 +1,45 @@
+import { CONFIG } from "./config.js";
+
+export const RECORDING_FORMAT = "gesture-recording";
+export const RECORDING_VERSION = 1;
+
+export function createRecording() {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    createdAt: new Date().toISOString(),
+    // Thresholds in effect while recording, for comparison when re-tuning.
+    gestureConfig: { ...CONFIG.gesture },
+    frames: [],
+  };
+}
+
+function isLandmarkList(value) {
+  return Array.isArray(value) && value.every((hand) => Array.isArray(hand));
+}
+
+export function parseRecording(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+
+  if (!data || data.format !== RECORDING_FORMAT) {
+    throw new Error("不是有效的手势录制文件");
+  }
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`不支持的手势录制版本：${data.version}`);
+  }
+  if (!Array.isArray(data.frames)) {
+    throw new Error("手势录制文件缺少帧数据");
+  }
+
+  data.frames.forEach((frame, index) => {
+    if (typeof frame.timestamp !== "number" || !isLandmarkList(frame.landmarks) || !isLandmarkList(frame.worldLandmarks)) {
+      throw new Error(`手势录制第 ${index + 1} 帧格式无效`);
+    }
+  });
+
+  return data;
+}
+
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
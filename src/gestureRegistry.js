@@ -0,0 +1,194 @@
+import { CONFIG } from "./config.js";
+
+export const FINGER_NAMES = ["thumb", "index", "middle", "ring", "pinky"];
+
+// Gesture definitions are plain objects so they can live in CONFIG:
+//
+//   {
+//     name: "thumbs-up",
+//     label: "竖起大拇指",
+//     priority: 40,                       // lower is tested first
+//     fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+//     extended: { min: 1, max: 1 },       // count of extended fingers
+//     landmarks: [{ type: "above", landmark: 4, reference: 2 }],
+//   }
+//
+// `fingers` may also be a five-element array; null / missing entries match
+// either state. Landmark predicates are:
+//   { type: "distance", from, to, min?, max?, space?: "world" | "image" }
+//   { type: "above" | "below", landmark, reference }  (image space, y down)
+// or a function receiving the match context.
+const BUILTIN_GESTURES = [
+  {
+    name: "pinch",
+    label: "捏合",
+    priority: 10,
+    fingers: { middle: true },
+    landmarks: [{ type: "distance", from: 4, to: 8, max: 0.03 }],
+  },
+  {
+    name: "open",
+    label: "张开手掌（拉远视角）",
+    priority: 20,
+    match: ({ extendedCount }) => extendedCount >= CONFIG.gesture.minExtendedFingersForOpen,
+  },
+  {
+    name: "fist",
+    label: "握拳（拉近视角）",
+    priority: 30,
+    match: ({ extendedCount }) => extendedCount === CONFIG.gesture.maxExtendedFingersForFist,
+  },
+  {
+    name: "thumbs-up",
+    label: "竖起大拇指",
+    priority: 40,
+    fingers: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+    landmarks: [{ type: "above", landmark: 4, reference: 2 }],
+  },
+  {
+    // Index extended, others flexed (thumb can be flexible)
+    name: "point",
+    label: "指向（选中星体）",
+    priority: 50,
+    fingers: { index: true, middle: false, ring: false, pinky: false },
+  },
+  {
+    name: "peace",
+    label: "剪刀手",
+    priority: 60,
+    fingers: { index: true, middle: true, ring: false, pinky: false },
+  },
+  {
+    name: "rock",
+    label: "摇滚手势",
+    priority: 70,
+    fingers: { index: true, middle: false, ring: false, pinky: true },
+  },
+  {
+    // Thumb tucked so it isn't read as an open palm (four extended fingers).
+    name: "three",
+    label: "三指",
+    priority: 80,
+    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: false },
+  },
+];
+
+const FALLBACK_GESTURE = { name: "neutral", label: "自然放松" };
+const DEFAULT_CUSTOM_PRIORITY = 100;
+
+function normalizeFingers(fingers) {
+  if (!fingers) return null;
+  if (Array.isArray(fingers)) {
+    return FINGER_NAMES.map((_, index) => fingers[index] ?? null);
+  }
+  return FINGER_NAMES.map((name) => fingers[name] ?? null);
+}
+
+function landmarkDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, (a.z ?? 0) - (b.z ?? 0));
+}
+
+function evaluateLandmarkPredicate(predicate, context) {
+  if (typeof predicate === "function") {
+    return Boolean(predicate(context));
+  }
+
+  const { landmarks, worldLandmarks } = context;
+  switch (predicate.type) {
+    case "distance": {
+      const points = predicate.space === "image" ? landmarks : worldLandmarks;
+      if (!points) return false;
+      const distance = landmarkDistance(points[predicate.from], points[predicate.to]);
+      if (predicate.min !== undefined && distance < predicate.min) return false;
+      if (predicate.max !== undefined && distance > predicate.max) return false;
+      return true;
+    }
+    case "above":
+    case "below": {
+      if (!landmarks) return false;
+      const delta = landmarks[predicate.landmark].y - landmarks[predicate.reference].y;
+      return predicate.type === "above" ? delta < 0 : delta > 0;
+    }
+    default:
+      return false;
+  }
+}
+
+function validateDefinition(definition) {
+  if (!definition || typeof definition.name !== "string" || definition.name === "") {
+    throw new Error("手势定义缺少 name");
+  }
+  if (definition.name === FALLBACK_GESTURE.name) {
+    throw new Error(`"${FALLBACK_GESTURE.name}" 是保留的手势名称`);
+  }
+  (definition.landmarks ?? []).forEach((predicate) => {
+    if (typeof predicate !== "function" && !["distance", "above", "below"].includes(predicate?.type)) {
+      throw new Error(`手势 "${definition.name}" 含有未知的关键点条件：${predicate?.type}`);
+    }
+  });
+}
+
+export class GestureRegistry {
+  constructor(definitions = []) {
+    this.definitions = [];
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  register(definition) {
+    validateDefinition(definition);
+    const normalized = {
+      label: definition.name,
+      priority: DEFAULT_CUSTOM_PRIORITY,
+      ...definition,
+      fingers: normalizeFingers(definition.fingers),
+      landmarks: definition.landmarks ?? [],
+    };
+
+    this.unregister(normalized.name);
+    this.definitions.push(normalized);
+    // Array#sort is stable, so equal priorities keep registration order.
+    this.definitions.sort((a, b) => a.priority - b.priority);
+    return normalized;
+  }
+
+  unregister(name) {
+    this.definitions = this.definitions.filter((definition) => definition.name !== name);
+  }
+
+  get(name) {
+    if (name === FALLBACK_GESTURE.name) return FALLBACK_GESTURE;
+    return this.definitions.find((definition) => definition.name === name) ?? null;
+  }
+
+  list() {
+    return [...this.definitions];
+  }
+
+  match({ fingerStates, landmarks = null, worldLandmarks = null }) {
+    const context = {
+      fingerStates,
+      extendedCount: fingerStates.filter(Boolean).length,
+      landmarks,
+      worldLandmarks,
+    };
+
+    const matched = this.definitions.find((definition) => this._matches(definition, context));
+    return matched ? matched.name : FALLBACK_GESTURE.name;
+  }
+
+  _matches(definition, context) {
+    const { fingers, extended, landmarks, match } = definition;
+
+    if (fingers && fingers.some((expected, index) => expected !== null && expected !== context.fingerStates[index])) {
+      return false;
+    }
+    if (extended?.min !== undefined && context.extendedCount < extended.min) return false;
+    if (extended?.max !== undefined && context.extendedCount > extended.max) return false;
+    if (!landmarks.every((predicate) => evaluateLandmarkPredicate(predicate, context))) return false;
+    return typeof match === "function" ? Boolean(match(context)) : true;
+  }
+}
+
+export function createDefaultGestureRegistry() {
+  return new GestureRegistry([...BUILTIN_GESTURES, ...(CONFIG.gesture.customGestures ?? [])]);
+}
@@ -0,0 +1,68 @@
+import { CONFIG } from "./config.js";
+
+// Debounces the per-frame gesture label into stable transitions. A new label
+// must persist for `minHoldTime` and the current one must have been absent for
+// `releaseTime` before the stable gesture changes, so a hand hovering near a
+// threshold no longer flickers between labels.
+export class GestureStateMachine {
+  constructor(options = {}) {
+    this.options = {
+      minHoldTime: CONFIG.gesture.minHoldTime,
+      releaseTime: CONFIG.gesture.releaseTime,
+      holdEventInterval: CONFIG.gesture.holdEventInterval,
+      ...options,
+    };
+    this.reset();
+  }
+
+  reset() {
+    this.stable = "none";
+    this.stableSince = 0;
+    this.lastSeenStable = 0;
+    this.lastHoldEvent = 0;
+    this.candidate = null;
+    this.candidateSince = 0;
+  }
+
+  // Returns the transition events ({ type, gesture, duration, timestamp }) caused
+  // by this frame; `type` is gesturestart, gestureend or gesturehold.
+  update(gesture, timestamp) {
+    const events = [];
+
+    if (gesture === this.stable) {
+      this.candidate = null;
+      this.lastSeenStable = timestamp;
+      if (this.stable !== "none" && timestamp - this.lastHoldEvent >= this.options.holdEventInterval) {
+        this.lastHoldEvent = timestamp;
+        events.push({ type: "gesturehold", gesture: this.stable, duration: timestamp - this.stableSince, timestamp });
+      }
+      return events;
+    }
+
+    if (this.candidate !== gesture) {
+      this.candidate = gesture;
+      this.candidateSince = timestamp;
+    }
+
+    const held = timestamp - this.candidateSince >= this.options.minHoldTime;
+    const released = this.stable === "none" || timestamp - this.lastSeenStable >= this.options.releaseTime;
+    if (!held || !released) {
+      return events;
+    }
+
+    if (this.stable !== "none") {
+      events.push({ type: "gestureend", gesture: this.stable, duration: timestamp - this.stableSince, timestamp });
+    }
+
+    this.stable = gesture;
+    this.stableSince = timestamp;
+    this.lastSeenStable = timestamp;
+    this.lastHoldEvent = timestamp;
+    this.candidate = null;
+
+    if (gesture !== "none") {
+      events.push({ type: "gesturestart", gesture, duration: 0, timestamp });
+    }
+    return events;
+  }
+}
@@ -0,0 +1,69 @@
+import { createHandLandmarker, serializeResults } from "./handLandmarker.js";
+
+// tasks-vision loads its wasm glue with importScripts(), which module workers
+// do not support. A synchronous fetch + global eval gives it the same effect.
+self.importScripts = (...urls) => {
+  urls.forEach((url) => {
+    const request = new XMLHttpRequest();
+    request.open("GET", String(url), false);
+    request.send();
+    if (request.status < 200 || request.status >= 300) {
+      throw new Error(`Failed to load ${url} (${request.status})`);
+    }
+    (0, eval)(request.responseText);
+  });
+};
+
+let model = null;
+
+async function handleInit({ numHands, urls, timeout }) {
+  try {
+    model = await createHandLandmarker({ numHands, urls, timeout });
+    self.postMessage({ type: "ready" });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error?.message ?? String(error) });
+  }
+}
+
+function handleDetect({ frame, timestamp }) {
+  try {
+    if (!model) {
+      throw new Error("手势模型尚未加载");
+    }
+    const results = model.detectForVideo(frame, timestamp);
+    self.postMessage({ type: "result", results: serializeResults(results), timestamp });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error?.message ?? String(error) });
+  } finally {
+    frame.close();
+  }
+}
+
+async function handleOptions({ numHands }) {
+  try {
+    await model?.setOptions({ numHands });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error?.message ?? String(error) });
+  }
+}
+
+self.addEventListener("message", ({ data }) => {
+  switch (data?.type) {
+    case "init":
+      handleInit(data);
+      break;
+    case "detect":
+      handleDetect(data);
+      break;
+    case "options":
+      handleOptions(data);
+      break;
+    case "close":
+      model?.close();
+      model = null;
+      self.close();
+      break;
+    default:
+      break;
+  }
+});
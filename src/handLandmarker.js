@@ -0,0 +1,97 @@
+import { CONFIG } from "./config.js";
+
+// Where scripts/vendor-assets.sh puts the MediaPipe files, relative to the
+// page; index.html switches to these with ?assets=local.
+export const VENDORED_ASSETS = {
+  mediapipeBaseUrl: "./vendor/mediapipe/",
+  handModelUrl: "./vendor/mediapipe/hand_landmarker.task",
+};
+
+// Absolute URLs of the MediaPipe files, resolved against the page so
+// relative paths such as "./vendor/mediapipe/" work from any module and can
+// be handed to the detection worker, which has no page to resolve against.
+export function resolveAssetUrls(assets = CONFIG.assets, base = document.baseURI) {
+  const packageBase = new URL(assets.mediapipeBaseUrl.replace(/\/?$/, "/"), base);
+  return {
+    visionModule: new URL("vision_bundle.js", packageBase).href,
+    wasm: new URL("wasm", packageBase).href,
+    handModel: new URL(assets.handModelUrl, base).href,
+  };
+}
+
+// Every file loading the model may fetch, for precaching. FilesetResolver
+// picks the SIMD build where supported, the no-SIMD one otherwise.
+export function listAssetFiles(urls = resolveAssetUrls()) {
+  return [
+    urls.visionModule,
+    `${urls.wasm}/vision_wasm_internal.js`,
+    `${urls.wasm}/vision_wasm_internal.wasm`,
+    `${urls.wasm}/vision_wasm_nosimd_internal.js`,
+    `${urls.wasm}/vision_wasm_nosimd_internal.wasm`,
+    urls.handModel,
+  ];
+}
+
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+async function fetchModel(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`无法下载手势模型：${url}（网络不可用或地址无效）`, { cause: error });
+  }
+  if (!response.ok) {
+    throw new Error(`缺少手势模型文件：${url}（HTTP ${response.status}）`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function loadAssets(urls) {
+  let vision;
+  try {
+    vision = await import(urls.visionModule);
+  } catch (error) {
+    throw new Error(`无法加载 MediaPipe 模块：${urls.visionModule}`, { cause: error });
+  }
+  return { vision, model: await fetchModel(urls.handModel) };
+}
+
+// Shared by the main-thread path and the detection worker so both build the
+// model with identical options. `urls` come from resolveAssetUrls(). Each
+// missing file fails with its own message, and the whole load with a
+// timeout, so an unreachable asset never leaves detection hanging.
+export async function createHandLandmarker({ numHands = 1, urls, timeout = CONFIG.assets.loadTimeout }) {
+  const timeoutMessage = `加载手势识别资源超时（${Math.round(timeout / 1000)} 秒）`;
+  const { vision, model } = await withTimeout(loadAssets(urls), timeout, timeoutMessage);
+  const { FilesetResolver, HandLandmarker } = vision;
+
+  try {
+    const fileset = await FilesetResolver.forVisionTasks(urls.wasm);
+    return await withTimeout(HandLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetBuffer: model,
+        delegate: "GPU",
+      },
+      runningMode: "VIDEO",
+      numHands,
+    }), timeout, timeoutMessage);
+  } catch (error) {
+    throw new Error(`无法加载 MediaPipe WASM 文件（${urls.wasm}）：${error?.message ?? error}`, { cause: error });
+  }
+}
+
+// Results are posted across the worker boundary, so keep only plain data.
+export function serializeResults(results) {
+  return {
+    landmarks: results.landmarks ?? [],
+    worldLandmarks: results.worldLandmarks ?? [],
+    handednesses: results.handednesses ?? results.handedness ?? [],
+  };
+}
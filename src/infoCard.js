@@ -0,0 +1,234 @@
+import * as THREE from "three";
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+const FIELD_LABELS = {
+  designation: "编号",
+  spectralType: "光谱型",
+  magnitude: "视星等",
+  temperature: "温度",
+  mass: "质量",
+  distance: "距离",
+  rightAscension: "赤经",
+  declination: "赤纬",
+  atmosphere: "大气",
+  gravity: "重力",
+  host: "绕行",
+  semiMajorAxis: "半长轴",
+  eccentricity: "偏心率",
+  inclination: "倾角",
+  orbitalPeriod: "轨道周期",
+  memberCount: "恒星数",
+  linkCount: "连线数",
+};
+
+// Shown in the card header or used internally rather than listed as fields.
+const HIDDEN_FIELDS = new Set([
+  "type",
+  "label",
+  "kindLabel",
+  "catalog",
+  "isHighlighted",
+  "baseEmissive",
+  "baseEmissiveIntensity",
+]);
+
+// The first comparison whose field the body has is charted against a familiar reference.
+const COMPARISONS = [
+  { field: "mass", title: "质量对比", reference: 1, referenceLabel: "太阳", unit: " M☉" },
+  { field: "temperature", title: "表面温度对比", reference: 5772, referenceLabel: "太阳", unit: "K" },
+  { field: "gravity", title: "表面重力对比", reference: 1, referenceLabel: "地球", unit: " g" },
+];
+
+const CARD_OFFSET = 18;
+const _projected = new THREE.Vector3();
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function isDisplayable(value) {
+  return ["string", "number"].includes(typeof value) && value !== "";
+}
+
+// [label, value] pairs for every attribute the card lists, in userData order.
+function describeBodyFields(userData) {
+  return Object.entries(userData)
+    .filter(([key, value]) => !HIDDEN_FIELDS.has(key) && isDisplayable(value))
+    .map(([key, value]) => [FIELD_LABELS[key] ?? key, String(value)]);
+}
+
+// Detail card anchored next to the selected body, plus a strip of recently
+// viewed bodies. Emits "select" (with a body) when a history entry or a
+// constellation member is clicked, "close" when the card's close button is
+// pressed and "remove" (with the constellation) when a constellation is deleted.
+export class InfoCard extends EventEmitter {
+  constructor(cardElement, historyElement, options = {}) {
+    super();
+    this.element = cardElement;
+    this.historyElement = historyElement;
+    this.options = { historySize: CONFIG.ui.infoCardHistorySize, ...options };
+    this.body = null;
+    this.color = null;
+    this.history = [];
+  }
+
+  get isOpen() {
+    return this.body !== null;
+  }
+
+  // `color` is a THREE.Color used for the swatch.
+  show(body, color) {
+    this.body = body;
+    this.color = color;
+    this._renderCard(body, color);
+    this.element.classList.remove("hidden", "offscreen");
+    this._pushHistory(body);
+  }
+
+  hide() {
+    this.body = null;
+    this.element.classList.add("hidden");
+  }
+
+  clearHistory() {
+    this.history = [];
+    this._renderHistory();
+  }
+
+  dispose() {
+    this.hide();
+    this.clearHistory();
+    this.element.replaceChildren();
+    this.removeAllListeners();
+  }
+
+  // What the card currently shows, with its rect relative to `reference`
+  // (e.g. the canvas), for drawing it into captures. Null when not visible.
+  snapshot(reference) {
+    if (!this.body || this.element.classList.contains("offscreen")) return null;
+    const card = this.element.getBoundingClientRect();
+    const origin = reference.getBoundingClientRect();
+    return {
+      rect: { x: card.left - origin.left, y: card.top - origin.top, width: card.width, height: card.height },
+      title: this.body.userData.label,
+      subtitle: this.body.userData.kindLabel ?? "",
+      color: `#${this.color.getHexString()}`,
+      fields: describeBodyFields(this.body.userData),
+    };
+  }
+
+  // Keeps the card next to the body as it moves across the screen.
+  update(camera) {
+    if (!this.body) return;
+
+    this.body.getWorldPosition(_projected).project(camera);
+    const offscreen = _projected.z > 1 || Math.abs(_projected.x) > 1 || Math.abs(_projected.y) > 1;
+    this.element.classList.toggle("offscreen", offscreen);
+    if (offscreen) return;
+
+    const container = this.element.parentElement;
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const x = ((_projected.x + 1) / 2) * width;
+    const y = ((1 - _projected.y) / 2) * height;
+
+    // Prefer the right-hand side of the body; flip when the card would overflow.
+    const { offsetWidth, offsetHeight } = this.element;
+    const left = x + CARD_OFFSET + offsetWidth > width ? x - CARD_OFFSET - offsetWidth : x + CARD_OFFSET;
+    const top = THREE.MathUtils.clamp(y - offsetHeight / 2, 0, Math.max(height - offsetHeight, 0));
+    this.element.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+  }
+
+  _renderCard(body, color) {
+    const { userData } = body;
+    const header = createElement("div", "info-card-header");
+    const swatch = createElement("span", "info-card-swatch");
+    swatch.style.background = swatch.style.color = `#${color.getHexString()}`;
+    const title = createElement("div", "info-card-title");
+    title.append(createElement("strong", "", userData.label), createElement("span", "", userData.kindLabel));
+    const closeBtn = createElement("button", "info-card-close", "×");
+    closeBtn.setAttribute("aria-label", "关闭");
+    closeBtn.addEventListener("click", () => this._emit("close"));
+    header.append(swatch, title, closeBtn);
+
+    const fields = createElement("dl", "info-card-fields");
+    describeBodyFields(userData).forEach(([label, value]) => {
+      fields.append(createElement("dt", "", label), createElement("dd", "", value));
+    });
+
+    this.element.replaceChildren(header, fields);
+    if (body.isConstellation) {
+      this.element.append(this._renderMembers(body));
+    }
+    const chart = this._renderComparison(userData);
+    if (chart) {
+      this.element.append(chart);
+    }
+  }
+
+  _renderMembers(constellation) {
+    const section = createElement("div", "info-card-members");
+    section.append(createElement("div", "info-card-chart-title", "成员恒星"));
+    const list = createElement("div", "info-card-member-list");
+    constellation.stars.forEach((star) => {
+      const button = createElement("button", "history-entry", star.userData.label);
+      button.addEventListener("click", () => this._emit("select", star));
+      list.append(button);
+    });
+    const removeBtn = createElement("button", "info-card-remove", "删除星座");
+    removeBtn.addEventListener("click", () => this._emit("remove", constellation));
+    section.append(list, removeBtn);
+    return section;
+  }
+
+  _renderComparison(userData) {
+    const comparison = COMPARISONS.find(({ field }) => Number.isFinite(parseFloat(userData[field])));
+    if (!comparison) return null;
+
+    const value = parseFloat(userData[comparison.field]);
+    const max = Math.max(value, comparison.reference);
+    const chart = createElement("div", "info-card-chart");
+    chart.append(createElement("div", "info-card-chart-title", comparison.title));
+
+    [
+      { label: userData.label, value, className: "subject" },
+      { label: comparison.referenceLabel, value: comparison.reference, className: "reference" },
+    ].forEach((bar) => {
+      const row = createElement("div", "info-card-bar");
+      const track = createElement("div", "info-card-bar-track");
+      const fill = createElement("div", `info-card-bar-fill ${bar.className}`);
+      fill.style.width = `${(bar.value / max) * 100}%`;
+      track.append(fill);
+      row.append(
+        createElement("span", "info-card-bar-label", bar.label),
+        track,
+        createElement("span", "info-card-bar-value", `${bar.value}${comparison.unit}`)
+      );
+      chart.append(row);
+    });
+    return chart;
+  }
+
+  _pushHistory(body) {
+    this.history = [body, ...this.history.filter((entry) => entry !== body)].slice(0, this.options.historySize);
+    this._renderHistory();
+  }
+
+  _renderHistory() {
+    const buttons = this.history.map((body) => {
+      const button = createElement("button", "history-entry", body.userData.label);
+      button.title = body.userData.kindLabel;
+      button.addEventListener("click", () => this._emit("select", body));
+      return button;
+    });
+    if (buttons.length) {
+      buttons.unshift(createElement("span", "history-title", "最近查看"));
+    }
+    this.historyElement.replaceChildren(...buttons);
+    this.historyElement.classList.toggle("hidden", buttons.length === 0);
+  }
+}
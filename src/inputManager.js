@@ -0,0 +1,44 @@
+import { EventEmitter } from "./eventEmitter.js";
+
+// Merges every input source (camera gestures, mouse, touch, keyboard) into one
+// "update" stream carrying the GestureController payload plus a `source` name.
+export class InputManager extends EventEmitter {
+  constructor() {
+    super();
+    this.sources = new Map();
+    this.activeSource = null;
+  }
+
+  addSource(name, source) {
+    this.removeSource(name);
+    const handler = (payload) => this._handleUpdate(name, payload);
+    source.on("update", handler);
+    this.sources.set(name, { source, handler });
+  }
+
+  removeSource(name) {
+    const entry = this.sources.get(name);
+    if (!entry) return;
+    entry.source.off("update", entry.handler);
+    this.sources.delete(name);
+    if (this.activeSource === name) {
+      this.activeSource = null;
+    }
+  }
+
+  dispose() {
+    [...this.sources.keys()].forEach((name) => this.removeSource(name));
+    this.removeAllListeners();
+  }
+
+  _handleUpdate(name, payload) {
+    if (payload.present) {
+      this.activeSource = name;
+    } else if (this.activeSource !== null && this.activeSource !== name) {
+      // An idle camera reports "no hand" every frame; that must not cancel
+      // what the mouse or keyboard is currently doing.
+      return;
+    }
+    this._emit("update", { ...payload, source: name });
+  }
+}
@@ -0,0 +1,212 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+const INTERACTIVE_TAGS = new Set(["BUTTON", "INPUT", "SELECT", "TEXTAREA"]);
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Inverse of the openness → radius mapping in starfieldApp.js, so manual zoom starts
+// from the camera's initial radius.
+function opennessForRadius(radius) {
+  const { minOpenness, maxOpenness } = CONFIG.gesture;
+  const { minRadius, maxRadius } = CONFIG.camera;
+  const ratio = (radius - minRadius) / (maxRadius - minRadius);
+  return minOpenness + clamp(ratio, 0, 1) * (maxOpenness - minOpenness);
+}
+
+// Keys typed into form controls (or Enter on a focused button) belong to them.
+function isInteractiveTarget(target) {
+  return Boolean(target && (INTERACTIVE_TAGS.has(target.tagName) || target.isContentEditable));
+}
+
+// Mouse, touch and keyboard control. Emits the same "update" payload as
+// GestureController: drag / swipe rotates, wheel / pinch / +- zooms, and a
+// click / tap / Enter selects. Each update also names its `actions`, so
+// remapping CONFIG.gestureActions for the camera leaves these controls alone.
+export class ManualInput extends EventEmitter {
+  constructor(element, options = {}) {
+    super();
+    this.element = element;
+    this.options = { ...CONFIG.input, ...options };
+    this.openness = opennessForRadius(CONFIG.camera.initialRadius);
+    this.pointers = new Map();
+    this.pinchDistance = null;
+    this.enabled = false;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onPointerCancel = this._onPointerCancel.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  resetZoom() {
+    this.openness = opennessForRadius(CONFIG.camera.initialRadius);
+  }
+
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    this.element.addEventListener("pointerdown", this._onPointerDown);
+    this.element.addEventListener("pointermove", this._onPointerMove);
+    this.element.addEventListener("pointerup", this._onPointerUp);
+    this.element.addEventListener("pointercancel", this._onPointerCancel);
+    this.element.addEventListener("wheel", this._onWheel, { passive: false });
+    window.addEventListener("keydown", this._onKeyDown);
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+    this.element.removeEventListener("pointerdown", this._onPointerDown);
+    this.element.removeEventListener("pointermove", this._onPointerMove);
+    this.element.removeEventListener("pointerup", this._onPointerUp);
+    this.element.removeEventListener("pointercancel", this._onPointerCancel);
+    this.element.removeEventListener("wheel", this._onWheel);
+    window.removeEventListener("keydown", this._onKeyDown);
+    this.pointers.clear();
+    this.pinchDistance = null;
+  }
+
+  dispose() {
+    this.disable();
+    this.removeAllListeners();
+  }
+
+  // Pointer coordinates follow the camera-space convention of GestureController
+  // (x is not mirrored), so consumers can treat every source the same way.
+  _toPointer(clientX, clientY) {
+    const rect = this.element.getBoundingClientRect();
+    return {
+      x: 1 - (clientX - rect.left) / rect.width,
+      y: (clientY - rect.top) / rect.height,
+    };
+  }
+
+  _emitUpdate(gesture, actions, { movement = { x: 0, y: 0 }, pointer = null } = {}) {
+    this._emit("update", {
+      gesture,
+      actions,
+      present: true,
+      openness: this.openness,
+      movement,
+      pointer,
+    });
+  }
+
+  _zoom(delta) {
+    const { minOpenness, maxOpenness } = CONFIG.gesture;
+    this.openness = clamp(this.openness + delta, minOpenness, maxOpenness);
+    this._emitUpdate(delta > 0 ? "open" : "fist", ["zoom"]);
+  }
+
+  _pinchSpan() {
+    const [a, b] = [...this.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  _onPointerDown(event) {
+    this.element.setPointerCapture?.(event.pointerId);
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: event.timeStamp,
+    });
+    this.pinchDistance = this.pointers.size === 2 ? this._pinchSpan() : null;
+  }
+
+  _onPointerMove(event) {
+    const tracked = this.pointers.get(event.pointerId);
+    if (!tracked) return;
+
+    const dx = event.clientX - tracked.x;
+    const dy = event.clientY - tracked.y;
+    tracked.x = event.clientX;
+    tracked.y = event.clientY;
+
+    if (this.pointers.size >= 2) {
+      if (this.pointers.size !== 2) return;
+      const span = this._pinchSpan();
+      const rect = this.element.getBoundingClientRect();
+      const change = (span - this.pinchDistance) / Math.min(rect.width, rect.height);
+      this.pinchDistance = span;
+      if (change !== 0) {
+        // Spreading the fingers zooms in, i.e. lowers the virtual openness.
+        this._zoom(-change * this.options.pinchZoomSensitivity);
+      }
+      return;
+    }
+
+    const rect = this.element.getBoundingClientRect();
+    this._emitUpdate("neutral", ["rotate"], {
+      movement: {
+        x: (dx / rect.width) * this.options.dragSensitivity,
+        y: (dy / rect.height) * this.options.dragSensitivity,
+      },
+    });
+  }
+
+  _onPointerUp(event) {
+    const tracked = this.pointers.get(event.pointerId);
+    const wasSinglePointer = this.pointers.size === 1;
+    this._onPointerCancel(event);
+    if (!tracked || !wasSinglePointer) return;
+
+    const travel = Math.hypot(event.clientX - tracked.startX, event.clientY - tracked.startY);
+    const duration = event.timeStamp - tracked.startTime;
+    if (travel <= this.options.tapMaxDistance && duration <= this.options.tapMaxDuration) {
+      this._emitUpdate("point", ["select"], { pointer: this._toPointer(event.clientX, event.clientY) });
+    }
+  }
+
+  _onPointerCancel(event) {
+    this.pointers.delete(event.pointerId);
+    this.pinchDistance = this.pointers.size === 2 ? this._pinchSpan() : null;
+  }
+
+  _onWheel(event) {
+    event.preventDefault();
+    // deltaMode 1 reports lines rather than pixels.
+    const pixels = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+    this._zoom(pixels * this.options.wheelZoomSpeed);
+  }
+
+  _onKeyDown(event) {
+    if (isInteractiveTarget(event.target) || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const step = this.options.keyboardRotateStep;
+    switch (event.key) {
+      case "ArrowLeft":
+        this._emitUpdate("neutral", ["rotate"], { movement: { x: -step, y: 0 } });
+        break;
+      case "ArrowRight":
+        this._emitUpdate("neutral", ["rotate"], { movement: { x: step, y: 0 } });
+        break;
+      case "ArrowUp":
+        this._emitUpdate("neutral", ["rotate"], { movement: { x: 0, y: -step } });
+        break;
+      case "ArrowDown":
+        this._emitUpdate("neutral", ["rotate"], { movement: { x: 0, y: step } });
+        break;
+      case "+":
+      case "=":
+        this._zoom(-this.options.keyboardZoomStep);
+        break;
+      case "-":
+      case "_":
+        this._zoom(this.options.keyboardZoomStep);
+        break;
+      case "Enter":
+        this._emitUpdate("point", ["select"], { pointer: { x: 0.5, y: 0.5 } });
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+}
@@ -0,0 +1,36 @@
+import { listAssetFiles } from "./handLandmarker.js";
+
+function askToCache(worker, urls) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = ({ data }) => {
+      channel.port1.close();
+      resolve(data.failed ?? []);
+    };
+    worker.postMessage({ type: "cache", urls }, [channel.port2]);
+  });
+}
+
+// Installs the service worker at `url` (relative to the page) and has it
+// cache every file the page has loaded so far, which covers the import-mapped
+// three.js modules wherever they are hosted, plus the detection worker and
+// the MediaPipe files, which may not have been needed yet. Resolves with the
+// URLs that could not be cached; rejects if service workers are unavailable
+// (e.g. on plain http).
+export async function enableOfflineCache(url) {
+  if (!("serviceWorker" in navigator)) {
+    throw new Error("当前浏览器或页面不支持离线缓存（需要 HTTPS 或 localhost）");
+  }
+  await navigator.serviceWorker.register(url);
+  const registration = await navigator.serviceWorker.ready;
+
+  const loaded = performance.getEntriesByType("resource")
+    .map((entry) => entry.name)
+    .filter((name) => name.startsWith("http"));
+  const urls = [
+    ...loaded,
+    new URL("./handDetectionWorker.js", import.meta.url).href,
+    ...listAssetFiles(),
+  ];
+  return askToCache(registration.active, [...new Set(urls)]);
+}
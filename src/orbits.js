@@ -0,0 +1,89 @@
+import * as THREE from "three";
+
+// Orbital elements (angles in radians, period in simulation seconds):
+//
+//   {
+//     semiMajorAxis, eccentricity, inclination,
+//     longitudeOfAscendingNode, argumentOfPeriapsis,
+//     period, meanAnomalyAtEpoch,
+//   }
+//
+// Positions are relative to the host body. The reference plane is the local XZ
+// plane and +Y is the orbit normal at zero inclination.
+const TWO_PI = Math.PI * 2;
+const KEPLER_ITERATIONS = 8;
+const KEPLER_TOLERANCE = 1e-8;
+
+// Solves Kepler's equation M = E - e sin E for the eccentric anomaly E.
+export function solveKepler(meanAnomaly, eccentricity) {
+  const M = THREE.MathUtils.euclideanModulo(meanAnomaly, TWO_PI);
+  let E = eccentricity < 0.8 ? M : Math.PI;
+  for (let i = 0; i < KEPLER_ITERATIONS; i += 1) {
+    const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+  }
+  return E;
+}
+
+function trueAnomalyFromEccentric(E, eccentricity) {
+  return 2 * Math.atan2(
+    Math.sqrt(1 + eccentricity) * Math.sin(E / 2),
+    Math.sqrt(1 - eccentricity) * Math.cos(E / 2)
+  );
+}
+
+// Rotates a point given by distance and true anomaly from the orbital plane
+// into the host's frame.
+function orbitalPlaneToLocal(elements, distance, trueAnomaly, target) {
+  const { inclination, longitudeOfAscendingNode: node, argumentOfPeriapsis } = elements;
+  const u = argumentOfPeriapsis + trueAnomaly;
+  const cosU = Math.cos(u);
+  const sinU = Math.sin(u);
+  const cosNode = Math.cos(node);
+  const sinNode = Math.sin(node);
+  const cosI = Math.cos(inclination);
+
+  return target.set(
+    distance * (cosNode * cosU - sinNode * sinU * cosI),
+    distance * sinU * Math.sin(inclination),
+    distance * (sinNode * cosU + cosNode * sinU * cosI)
+  );
+}
+
+export function orbitalPosition(elements, time, target = new THREE.Vector3()) {
+  const { semiMajorAxis, eccentricity, period, meanAnomalyAtEpoch } = elements;
+  const meanAnomaly = meanAnomalyAtEpoch + (TWO_PI * time) / period;
+  const E = solveKepler(meanAnomaly, eccentricity);
+  const distance = semiMajorAxis * (1 - eccentricity * Math.cos(E));
+  return orbitalPlaneToLocal(elements, distance, trueAnomalyFromEccentric(E, eccentricity), target);
+}
+
+// Closed polyline of the orbit ellipse, for drawing with THREE.LineLoop.
+export function createOrbitPathGeometry(elements, segments = 128) {
+  const { semiMajorAxis, eccentricity } = elements;
+  const semiLatusRectum = semiMajorAxis * (1 - eccentricity * eccentricity);
+  const positions = new Float32Array(segments * 3);
+  const point = new THREE.Vector3();
+
+  for (let i = 0; i < segments; i += 1) {
+    const trueAnomaly = (i / segments) * TWO_PI;
+    const distance = semiLatusRectum / (1 + eccentricity * Math.cos(trueAnomaly));
+    orbitalPlaneToLocal(elements, distance, trueAnomaly, point);
+    point.toArray(positions, i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  return geometry;
+}
+
+// Display strings for selection details.
+export function describeOrbit(elements) {
+  return {
+    semiMajorAxis: elements.semiMajorAxis.toFixed(2),
+    eccentricity: elements.eccentricity.toFixed(3),
+    inclination: THREE.MathUtils.radToDeg(elements.inclination).toFixed(1) + "°",
+    orbitalPeriod: elements.period.toFixed(1) + " 秒",
+  };
+}
@@ -0,0 +1,111 @@
+// Frames longer than this (tab switches, breakpoints) would swamp the averages.
+const MAX_FRAME_TIME = 250;
+const SAMPLE_WINDOW = 1000;
+const OVERLAY_INTERVAL = 500;
+
+function average(samples) {
+  if (!samples.length) return 0;
+  return samples.reduce((sum, { value }) => sum + value, 0) / samples.length;
+}
+
+// Frame times are quantised to the display's refresh interval, so a low
+// percentile estimates that interval without being thrown by the odd short
+// frame that follows a late one.
+function lowPercentile(samples) {
+  if (!samples.length) return 0;
+  const sorted = samples.map(({ value }) => value).sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length * 0.1)];
+}
+
+function trim(samples, now) {
+  while (samples.length && now - samples[0].time > SAMPLE_WINDOW) {
+    samples.shift();
+  }
+}
+
+function formatCount(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+// Rolling one-second statistics for rendering and gesture detection, shown
+// in `element` while visible. Call recordFrame() once per rendered frame,
+// after rendering so the renderer's draw-call counters are complete.
+export class PerformanceMonitor {
+  constructor(element, renderer) {
+    this.element = element;
+    this.renderer = renderer;
+    this.frames = [];
+    this.detections = [];
+    this.drawCalls = 0;
+    this.triangles = 0;
+    this.qualityLabel = "";
+    this.lastOverlayUpdate = 0;
+  }
+
+  get visible() {
+    return !this.element.classList.contains("hidden");
+  }
+
+  setVisible(visible) {
+    this.element.classList.toggle("hidden", !visible);
+  }
+
+  setQualityLabel(label) {
+    this.qualityLabel = label;
+  }
+
+  recordFrame(frameTime, now = performance.now()) {
+    if (frameTime <= MAX_FRAME_TIME) {
+      this.frames.push({ time: now, value: frameTime });
+    }
+    trim(this.frames, now);
+    trim(this.detections, now);
+    ({ calls: this.drawCalls, triangles: this.triangles } = this.renderer.info.render);
+
+    if (this.visible && now - this.lastOverlayUpdate >= OVERLAY_INTERVAL) {
+      this.lastOverlayUpdate = now;
+      this._renderOverlay();
+    }
+  }
+
+  // `latency` is null for replayed frames, which are counted but not timed.
+  recordDetection(latency, now = performance.now()) {
+    this.detections.push({ time: now, value: latency });
+    trim(this.detections, now);
+  }
+
+  get stats() {
+    const timed = this.detections.filter(({ value }) => value !== null);
+    return {
+      fps: this.frames.length,
+      frameTime: average(this.frames),
+      refreshInterval: lowPercentile(this.frames),
+      gestureFps: this.detections.length,
+      gestureLatency: timed.length ? average(timed) : null,
+      drawCalls: this.drawCalls,
+      triangles: this.triangles,
+    };
+  }
+
+  dispose() {
+    this.frames = [];
+    this.detections = [];
+    this.element.replaceChildren();
+  }
+
+  _renderOverlay() {
+    const { fps, frameTime, gestureFps, gestureLatency, drawCalls, triangles } = this.stats;
+    const latency = gestureLatency === null ? "—" : `${gestureLatency.toFixed(0)} ms`;
+    const lines = [
+      `渲染 ${fps} FPS · ${frameTime.toFixed(1)} ms`,
+      `手势 ${gestureFps} FPS · 延迟 ${latency}`,
+      `绘制调用 ${drawCalls} · 三角形 ${formatCount(triangles)}`,
+      `画质 ${this.qualityLabel} · 像素比 ${this.renderer.getPixelRatio().toFixed(2)}`,
+    ];
+    this.element.replaceChildren(...lines.map((text) => {
+      const line = document.createElement("div");
+      line.textContent = text;
+      return line;
+    }));
+  }
+}
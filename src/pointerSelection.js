@@ -0,0 +1,125 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+// Pinch distance a pressed thumb has to exceed, as a multiple of
+// tapPinchDistance, before it can tap again.
+const PINCH_RELEASE_FACTOR = 1.5;
+
+// Turns a pointing finger into deliberate selections. update() is fed the
+// body under the pointer each frame; that body is hovered, and is confirmed
+// once the finger rests on it for dwellTime or makes an air tap: a quick push
+// of the index tip towards the camera, or the thumb pressed against the index
+// finger. A tap confirms what was hovered when the motion began, since the
+// pointer moves with it. Options left out are read from CONFIG.selection on
+// every update. Emits "hover" (body or null), "progress" (dwell share, 0–1)
+// and "confirm" ({ target, method: "dwell" | "tap" }).
+export class PointerSelection extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.hover = null;
+    this.hoverSince = 0;
+    this.lastHitAt = 0;
+    // A body is confirmed by dwelling once per hover.
+    this.confirmed = null;
+    this.progress = 0;
+    this.samples = [];
+    // null until the first sample, so a thumb already pressed when pointing
+    // starts does not count as a tap.
+    this.pinched = null;
+    this.lastTapAt = -Infinity;
+  }
+
+  // `depth` is the index tip's z relative to the wrist (smaller is closer to
+  // the camera) and `pinchDistance` the thumb tip to index finger distance in
+  // metres; either may be null.
+  update({ target, depth = null, pinchDistance = null, time = performance.now() }) {
+    const options = { ...CONFIG.selection, ...this.options };
+
+    // A pointer trembling at a body's edge should not restart the dwell.
+    if (target) {
+      this.lastHitAt = time;
+      if (target !== this.hover) this._setHover(target, time);
+    } else if (this.hover && time - this.lastHitAt > options.hoverGrace) {
+      this._setHover(null, time);
+    }
+
+    const tapped = this._detectTap({ depth, pinchDistance, time }, options);
+    if (tapped !== undefined) {
+      if (tapped) this._confirm(tapped, "tap");
+      return;
+    }
+
+    if (this.hover && this.hover !== this.confirmed && options.dwellTime > 0) {
+      const progress = Math.min((time - this.hoverSince) / options.dwellTime, 1);
+      if (progress >= 1) {
+        this._confirm(this.hover, "dwell");
+      } else {
+        this._setProgress(progress);
+      }
+    } else {
+      this._setProgress(0);
+    }
+  }
+
+  reset() {
+    this._setHover(null, 0);
+    this.samples = [];
+    this.pinched = null;
+  }
+
+  _setHover(target, time) {
+    if (target === this.hover) return;
+    this.hover = target;
+    this.hoverSince = time;
+    this.confirmed = null;
+    this._setProgress(0);
+    this._emit("hover", target);
+  }
+
+  _setProgress(progress) {
+    if (progress === this.progress) return;
+    this.progress = progress;
+    this._emit("progress", progress);
+  }
+
+  _confirm(target, method) {
+    this.confirmed = target;
+    this._setProgress(0);
+    this._emit("confirm", { target, method });
+  }
+
+  // Returns undefined when there was no tap, otherwise the tapped body (null
+  // for a tap on empty sky).
+  _detectTap({ depth, pinchDistance, time }, options) {
+    this.samples.push({ time, depth, target: this.hover });
+    while (time - this.samples[0].time > options.tapWindow) {
+      this.samples.shift();
+    }
+
+    const wasPinched = this.pinched;
+    if (pinchDistance !== null) {
+      const threshold = options.tapPinchDistance * (wasPinched ? PINCH_RELEASE_FACTOR : 1);
+      this.pinched = pinchDistance < threshold;
+    }
+    if (!options.airTap || time - this.lastTapAt < options.tapCooldown) return undefined;
+
+    let start = null;
+    if (this.pinched && wasPinched === false) {
+      start = this.samples[0];
+    } else if (depth !== null) {
+      const deepest = this.samples.reduce(
+        (best, sample) => (sample.depth !== null && (!best || sample.depth > best.depth) ? sample : best),
+        null,
+      );
+      if (deepest && deepest.depth - depth >= options.tapDepth) {
+        start = deepest;
+      }
+    }
+    if (!start) return undefined;
+
+    this.lastTapAt = time;
+    this.samples = [];
+    return start.target ?? this.hover;
+  }
+}
@@ -0,0 +1,173 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { OutlinePass } from "three/addons/postprocessing/OutlinePass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+import { FilmPass } from "three/addons/postprocessing/FilmPass.js";
+import { ShaderPass } from "three/addons/postprocessing/ShaderPass.js";
+import { VignetteShader } from "three/addons/shaders/VignetteShader.js";
+import { CONFIG } from "./config.js";
+
+// Fraction of the canvas resolution bloom runs at on "low" quality.
+const LOW_QUALITY_BLOOM_SCALE = 0.5;
+const QUALITY_ORDER = ["off", "low", "high"];
+
+// Renders the scene either straight to the canvas (quality "off") or through
+// an EffectComposer: an outline around the highlighted body, bloom so emissive
+// stars actually glow (the outline is drawn first so it glows too), tone
+// mapping and sRGB output, then optional film grain and vignette.
+export class PostProcessing {
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.options = { ...CONFIG.postProcessing, ...options };
+    this.composer = null;
+    this.passes = null;
+    this.selection = null;
+    // Upper bound set by adaptive quality; the user's choice is options.quality.
+    this.qualityLimit = "high";
+    this.width = 1;
+    this.height = 1;
+
+    // Without a composer the renderer tone-maps directly; with one, OutputPass
+    // reads the same settings.
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = this.options.exposure;
+    // A composed frame is many render calls; info is reset once per frame in
+    // render() so draw calls and triangles cover all of them.
+    renderer.info.autoReset = false;
+    this._build();
+  }
+
+  get enabled() {
+    return this.composer !== null;
+  }
+
+  // The quality actually rendered: the lower of the setting and the limit.
+  get quality() {
+    const index = Math.min(QUALITY_ORDER.indexOf(this.options.quality), QUALITY_ORDER.indexOf(this.qualityLimit));
+    return QUALITY_ORDER[index];
+  }
+
+  setQualityLimit(limit) {
+    const previous = this.quality;
+    this.qualityLimit = limit;
+    if (this.quality !== previous) {
+      this._build();
+    }
+  }
+
+  setOptions(values) {
+    const previous = this.quality;
+    Object.assign(this.options, values);
+    this.renderer.toneMappingExposure = this.options.exposure;
+    if (this.quality !== previous) {
+      this._build();
+    } else {
+      this._applyOptions();
+    }
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this._resize();
+  }
+
+  setPixelRatio(ratio) {
+    this.renderer.setPixelRatio(ratio);
+    this._resize();
+  }
+
+  // `object` is outlined until replaced; pass null to clear.
+  setSelection(object) {
+    if (this.selection === object) return;
+    this.selection = object;
+    if (this.passes) {
+      this._applySelection();
+    }
+  }
+
+  render(deltaTime) {
+    this.renderer.info.reset();
+    if (this.composer) {
+      this.composer.render(deltaTime);
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  dispose() {
+    this._disposeComposer();
+    this.selection = null;
+  }
+
+  _build() {
+    this._disposeComposer();
+    if (this.quality === "off") return;
+
+    const resolution = new THREE.Vector2(this.width, this.height);
+    const passes = {
+      render: new RenderPass(this.scene, this.camera),
+      outline: new OutlinePass(resolution, this.scene, this.camera),
+      bloom: new UnrealBloomPass(resolution, this.options.bloomStrength, this.options.bloomRadius, this.options.bloomThreshold),
+      output: new OutputPass(),
+      film: new FilmPass(this.options.grainIntensity),
+      vignette: new ShaderPass(VignetteShader),
+    };
+    passes.outline.edgeGlow = 0.6;
+    passes.outline.edgeThickness = 1.5;
+    passes.outline.pulsePeriod = 2.5;
+
+    this.composer = new EffectComposer(this.renderer);
+    Object.values(passes).forEach((pass) => this.composer.addPass(pass));
+    this.passes = passes;
+    this._applyOptions();
+    this._applySelection();
+    this._resize();
+  }
+
+  _applyOptions() {
+    if (!this.passes) return;
+    const { outline, bloom, film, vignette } = this.passes;
+    const highQuality = this.quality === "high";
+
+    bloom.strength = this.options.bloomStrength;
+    bloom.radius = this.options.bloomRadius;
+    bloom.threshold = this.options.bloomThreshold;
+    outline.edgeStrength = this.options.outlineStrength;
+    outline.visibleEdgeColor.setHex(this.options.outlineColor);
+    outline.hiddenEdgeColor.setHex(this.options.outlineColor).multiplyScalar(0.3);
+    film.uniforms.intensity.value = this.options.grainIntensity;
+    film.enabled = highQuality && this.options.filmGrain;
+    vignette.uniforms.darkness.value = this.options.vignetteDarkness;
+    vignette.enabled = highQuality && this.options.vignette;
+  }
+
+  _applySelection() {
+    const { outline } = this.passes;
+    outline.selectedObjects = this.selection ? [this.selection] : [];
+    // OutlinePass re-renders the scene twice; skip it when nothing is selected.
+    outline.enabled = this.selection !== null;
+  }
+
+  _resize() {
+    if (!this.composer) return;
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(this.width, this.height);
+    if (this.quality === "low") {
+      const scale = this.renderer.getPixelRatio() * LOW_QUALITY_BLOOM_SCALE;
+      this.passes.bloom.setSize(Math.round(this.width * scale), Math.round(this.height * scale));
+    }
+  }
+
+  _disposeComposer() {
+    if (!this.composer) return;
+    Object.values(this.passes).forEach((pass) => pass.dispose());
+    this.composer.dispose();
+    this.composer = null;
+    this.passes = null;
+  }
+}
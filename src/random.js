@@ -0,0 +1,44 @@
+const UINT32_RANGE = 4294967296;
+
+function hashString(value) {
+  // FNV-1a, so textual seeds such as "andromeda" map to a stable integer.
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function normalizeSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.floor(Math.abs(value)) >>> 0;
+  }
+
+  if (typeof value === "string" && value.trim() !== "") {
+    const trimmed = value.trim();
+    return /^\d+$/.test(trimmed) ? Number(trimmed) >>> 0 : hashString(trimmed);
+  }
+
+  return null;
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+export function deriveSeed(seed, stream) {
+  return (seed ^ hashString(stream)) >>> 0;
+}
+
+// mulberry32: small, fast and good enough for scene generation.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  };
+}
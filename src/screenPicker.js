@@ -0,0 +1,64 @@
+import * as THREE from "three";
+
+const _position = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _viewProjection = new THREE.Matrix4();
+
+function getWorldPosition(body, target) {
+  return body.getWorldPosition(target);
+}
+
+// Camera data shared by every body of one pick. Returns a function that
+// projects a world position (overwritten) with its radius into canvas pixels.
+function createProjector(camera, width, height) {
+  const cameraPosition = _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+  const viewProjection = _viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  const pixelsPerUnitAtOne = height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+
+  return (position, radius) => {
+    const depth = position.distanceTo(cameraPosition);
+    position.applyMatrix4(viewProjection);
+    if (position.z < -1 || position.z > 1) return null;
+    return {
+      x: ((position.x + 1) / 2) * width,
+      y: ((1 - position.y) / 2) * height,
+      radius: (radius * pixelsPerUnitAtOne) / depth,
+      depth,
+    };
+  };
+}
+
+// Projects a body into canvas pixels. Returns { x, y, radius, depth } with its
+// on-screen radius and distance from the camera, or null when it is behind
+// the camera or outside the clipping planes.
+export function projectBody(body, radius, camera, width, height) {
+  return createProjector(camera, width, height)(body.getWorldPosition(_position), radius);
+}
+
+// Screen-space picking: the body whose projected disc comes nearest `point`
+// (canvas pixels), if its edge is within `tolerance` pixels. Only a world
+// position and a radius are needed, so instanced stars, meshes and point
+// sprites are picked alike, however small they are drawn. `getPosition(body,
+// target)` defaults to getWorldPosition(); callers picking among many
+// instances can pass one that skips the per-body world matrix update.
+// Overlapping bodies go to the one nearest the camera. The `sticky` body
+// counts as `stickiness` pixels closer, so a trembling pointer does not flip
+// between neighbours. Returns { body, distance, x, y } or null.
+export function pickNearestBody(bodies, point, options) {
+  const { camera, width, height, tolerance, getRadius, getPosition = getWorldPosition } = options;
+  const { sticky = null, stickiness = 0 } = options;
+  const project = createProjector(camera, width, height);
+  let best = null;
+  bodies.forEach((body) => {
+    const projected = project(getPosition(body, _position), getRadius(body));
+    if (!projected) return;
+
+    const edgeDistance = Math.max(0, Math.hypot(projected.x - point.x, projected.y - point.y) - projected.radius);
+    if (edgeDistance > tolerance) return;
+    const score = body === sticky ? edgeDistance - stickiness : edgeDistance;
+    if (!best || score < best.score || (score === best.score && projected.depth < best.depth)) {
+      best = { body, score, distance: edgeDistance, x: projected.x, y: projected.y, depth: projected.depth };
+    }
+  });
+  return best && { body: best.body, distance: best.distance, x: best.x, y: best.y };
+}
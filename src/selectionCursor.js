@@ -0,0 +1,74 @@
+// On-screen cursor for the pointing finger, covering the canvas. Idle it is a
+// faint ring; over a body it brightens, shows the body's name and fills with
+// the dwell progress; a confirmed selection flashes it. When the ring is
+// snapped towards a body, a dot marks where the fingertip actually points.
+const CONFIRM_FLASH_DURATION = 450;
+// Dot hidden while the ring is this close to it (share of the canvas).
+const SNAP_DOT_THRESHOLD = 0.005;
+
+const CURSOR_MARKUP = `
+  <div class="selection-cursor-target">
+    <svg class="selection-cursor-ring" viewBox="0 0 40 40" aria-hidden="true">
+      <circle class="selection-cursor-track" cx="20" cy="20" r="16"></circle>
+      <circle class="selection-cursor-progress" cx="20" cy="20" r="16" pathLength="1"></circle>
+    </svg>
+    <span class="selection-cursor-label"></span>
+  </div>
+  <div class="selection-cursor-dot"></div>
+`;
+
+function placeAt(element, { x, y }) {
+  element.style.left = `${x * 100}%`;
+  element.style.top = `${y * 100}%`;
+}
+
+export class SelectionCursor {
+  constructor(element) {
+    this.element = element;
+    this.element.innerHTML = CURSOR_MARKUP;
+    this.targetElement = element.querySelector(".selection-cursor-target");
+    this.dotElement = element.querySelector(".selection-cursor-dot");
+    this.progressElement = element.querySelector(".selection-cursor-progress");
+    this.labelElement = element.querySelector(".selection-cursor-label");
+    this.flashTimer = null;
+    this.setProgress(0);
+  }
+
+  // Both positions are shares (0–1) of the canvas size in screen space: the
+  // ring, possibly snapped, and the fingertip.
+  move(ring, fingertip = ring) {
+    placeAt(this.targetElement, ring);
+    placeAt(this.dotElement, fingertip);
+    const snapped = Math.hypot(ring.x - fingertip.x, ring.y - fingertip.y) > SNAP_DOT_THRESHOLD;
+    this.element.classList.toggle("snapped", snapped);
+    this.element.classList.remove("hidden");
+  }
+
+  setHover(label) {
+    this.element.classList.toggle("hovering", label !== null);
+    this.labelElement.textContent = label ?? "";
+  }
+
+  setProgress(progress) {
+    this.progressElement.style.strokeDashoffset = String(1 - progress);
+  }
+
+  confirm() {
+    clearTimeout(this.flashTimer);
+    this.element.classList.add("confirmed");
+    this.flashTimer = setTimeout(() => {
+      this.element.classList.remove("confirmed");
+    }, CONFIRM_FLASH_DURATION);
+  }
+
+  hide() {
+    this.element.classList.add("hidden");
+    this.setHover(null);
+    this.setProgress(0);
+  }
+
+  dispose() {
+    clearTimeout(this.flashTimer);
+    this.element.replaceChildren();
+  }
+}
@@ -0,0 +1,445 @@
+import { CONFIG } from "./config.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+export const SETTINGS_STORAGE_KEY = "starfield.settings";
+const SETTINGS_FORMAT = "starfield-settings";
+const SETTINGS_VERSION = 1;
+
+// Typed description of every user-adjustable CONFIG value. Field types are
+// number, integer, boolean, enum (with `options`), string and color (a
+// 0xRRGGBB number, also accepted as "#rrggbb"). `rebuild` marks values the
+// starfield only reads while generating bodies; `reload` marks values that
+// take effect the next time the page loads.
+//
+// Not covered: starfield.seed (lives in the URL so skies can be shared) and
+// gesture.customGestures / gestureActions, which are code-level configuration
+// and may hold functions. The chosen camera device is saved by
+// cameraManager.js instead, as device ids only mean something in this browser.
+export const SETTINGS_SCHEMA = {
+  camera: {
+    label: "相机",
+    fields: {
+      fov: { type: "number", label: "视野角度", min: 20, max: 120, step: 1 },
+      near: { type: "number", label: "近裁剪面", min: 0.01, max: 10, step: 0.01 },
+      far: { type: "number", label: "远裁剪面", min: 100, max: 2000, step: 10 },
+      initialRadius: { type: "number", label: "初始距离", min: 5, max: 300, step: 1 },
+      minRadius: { type: "number", label: "最近距离", min: 5, max: 300, step: 1 },
+      maxRadius: { type: "number", label: "最远距离", min: 5, max: 400, step: 1 },
+      rotateSensitivity: { type: "number", label: "旋转灵敏度", min: 0.1, max: 10, step: 0.1 },
+      zoomLerpFactor: { type: "number", label: "缩放平滑", min: 0.01, max: 1, step: 0.01 },
+      targetRadiusLerpFactor: { type: "number", label: "手势缩放平滑", min: 0.01, max: 1, step: 0.01 },
+      focusRadiusFactor: { type: "number", label: "聚焦距离（星体半径倍数）", min: 1, max: 50, step: 0.5 },
+      focusMinRadiusFactor: { type: "number", label: "聚焦最近距离倍数", min: 1, max: 50, step: 0.5 },
+      focusMaxRadiusFactor: { type: "number", label: "聚焦最远距离倍数", min: 1, max: 100, step: 0.5 },
+      focusTransitionDuration: { type: "number", label: "聚焦飞行时长（秒）", min: 0.1, max: 5, step: 0.1 },
+    },
+  },
+  webcam: {
+    label: "摄像头",
+    fields: {
+      resolution: {
+        type: "enum",
+        label: "采集分辨率",
+        options: { low: "低（640×480，识别最快）", medium: "中（960×720）", high: "高（1280×960，识别最准）" },
+      },
+      recoveryDelay: { type: "integer", label: "断开后重连等待（毫秒）", min: 0, max: 30000, step: 100 },
+    },
+  },
+  gesture: {
+    label: "手势识别",
+    fields: {
+      smoothingFactor: { type: "number", label: "平滑系数", min: 0.01, max: 1, step: 0.01 },
+      minOpenness: { type: "number", label: "最小张开度", min: 0, max: 1, step: 0.001 },
+      maxOpenness: { type: "number", label: "最大张开度", min: 0, max: 1, step: 0.001 },
+      fingerBendThreshold: { type: "number", label: "手指弯曲阈值", min: -0.1, max: 0, step: 0.001 },
+      minExtendedFingersForOpen: { type: "integer", label: "张开手掌最少伸直手指", min: 1, max: 5, step: 1 },
+      maxExtendedFingersForFist: { type: "integer", label: "握拳最多伸直手指", min: 0, max: 4, step: 1 },
+      fingerHysteresis: { type: "number", label: "手指状态滞回", min: 0, max: 1, step: 0.01 },
+      minHoldTime: { type: "integer", label: "手势确认时间（毫秒）", min: 0, max: 2000, step: 10 },
+      releaseTime: { type: "integer", label: "手势释放时间（毫秒）", min: 0, max: 2000, step: 10 },
+      holdEventInterval: { type: "integer", label: "保持事件间隔（毫秒）", min: 50, max: 5000, step: 50 },
+      useWorker: { type: "boolean", label: "在 Worker 中识别", reload: true },
+      twoHandMode: { type: "boolean", label: "双手模式" },
+      minHandDistance: { type: "number", label: "双手最小间距", min: 0, max: 2, step: 0.01 },
+      maxHandDistance: { type: "number", label: "双手最大间距", min: 0, max: 2, step: 0.01 },
+      twoHandRotateSensitivity: { type: "number", label: "双手旋转灵敏度", min: 0, max: 5, step: 0.1 },
+    },
+  },
+  selection: {
+    label: "指向选择",
+    fields: {
+      pickTolerance: { type: "integer", label: "选取容差（像素）", min: 0, max: 200, step: 1 },
+      magneticSnap: { type: "boolean", label: "光标吸附" },
+      snapStrength: { type: "number", label: "吸附强度", min: 0, max: 1, step: 0.05 },
+      dwellTime: { type: "integer", label: "停留确认时间（毫秒，0 为关闭）", min: 0, max: 5000, step: 50 },
+      hoverGrace: { type: "integer", label: "悬停保持时间（毫秒）", min: 0, max: 1000, step: 10 },
+      airTap: { type: "boolean", label: "隔空点击确认" },
+      tapDepth: { type: "number", label: "点击前推距离", min: 0.01, max: 0.3, step: 0.005 },
+      tapWindow: { type: "integer", label: "点击动作时长（毫秒）", min: 50, max: 1000, step: 10 },
+      tapPinchDistance: { type: "number", label: "拇指按压距离（米）", min: 0.005, max: 0.08, step: 0.001 },
+      tapCooldown: { type: "integer", label: "两次点击最短间隔（毫秒）", min: 0, max: 3000, step: 50 },
+    },
+  },
+  input: {
+    label: "鼠标、触摸与键盘",
+    fields: {
+      dragSensitivity: { type: "number", label: "拖动灵敏度", min: 0.1, max: 5, step: 0.1 },
+      wheelZoomSpeed: { type: "number", label: "滚轮缩放速度", min: 0.00001, max: 0.001, step: 0.00001 },
+      pinchZoomSensitivity: { type: "number", label: "双指缩放灵敏度", min: 0.01, max: 2, step: 0.01 },
+      keyboardRotateStep: { type: "number", label: "方向键旋转步长", min: 0.001, max: 0.1, step: 0.001 },
+      keyboardZoomStep: { type: "number", label: "键盘缩放步长", min: 0.001, max: 0.1, step: 0.001 },
+      tapMaxDistance: { type: "integer", label: "轻触最大位移（像素）", min: 0, max: 50, step: 1 },
+      tapMaxDuration: { type: "integer", label: "轻触最长时间（毫秒）", min: 50, max: 1000, step: 10 },
+    },
+  },
+  scene: {
+    label: "场景",
+    fields: {
+      backgroundColor: { type: "color", label: "背景颜色" },
+      fogColor: { type: "color", label: "雾颜色" },
+      fogNear: { type: "number", label: "雾起始距离", min: 0, max: 500, step: 1 },
+      fogFar: { type: "number", label: "雾结束距离", min: 1, max: 1000, step: 1 },
+    },
+  },
+  postProcessing: {
+    label: "后期处理",
+    fields: {
+      quality: { type: "enum", label: "画面质量", options: { off: "关闭", low: "低", high: "高" } },
+      exposure: { type: "number", label: "曝光", min: 0.1, max: 3, step: 0.05 },
+      bloomStrength: { type: "number", label: "泛光强度", min: 0, max: 3, step: 0.05 },
+      bloomRadius: { type: "number", label: "泛光半径", min: 0, max: 1, step: 0.01 },
+      bloomThreshold: { type: "number", label: "泛光阈值", min: 0, max: 1, step: 0.01 },
+      outlineColor: { type: "color", label: "选中描边颜色" },
+      outlineStrength: { type: "number", label: "选中描边强度", min: 0, max: 10, step: 0.1 },
+      filmGrain: { type: "boolean", label: "胶片颗粒" },
+      grainIntensity: { type: "number", label: "颗粒强度", min: 0, max: 1, step: 0.01 },
+      vignette: { type: "boolean", label: "暗角" },
+      vignetteDarkness: { type: "number", label: "暗角强度", min: 0, max: 2, step: 0.05 },
+    },
+  },
+  capture: {
+    label: "截图与录屏",
+    fields: {
+      resolutionScale: { type: "number", label: "截图分辨率倍数", min: 1, max: 4, step: 0.5 },
+      maxImageSize: { type: "integer", label: "截图最大边长（像素）", min: 1024, max: 16384, step: 256 },
+      includeInfoCard: { type: "boolean", label: "截图包含信息卡片" },
+      videoFrameRate: { type: "integer", label: "录屏帧率", min: 10, max: 60, step: 1 },
+      videoBitrate: { type: "integer", label: "录屏码率（bit/s）", min: 500000, max: 50000000, step: 500000 },
+      handInset: { type: "boolean", label: "录屏叠加手部骨架" },
+      maxVideoDuration: { type: "integer", label: "录屏最长时长（毫秒）", min: 5000, max: 1800000, step: 5000 },
+    },
+  },
+  performance: {
+    label: "性能",
+    fields: {
+      showOverlay: { type: "boolean", label: "显示性能面板" },
+      adaptiveQuality: { type: "boolean", label: "自适应画质" },
+      frameBudget: { type: "number", label: "帧时间预算（毫秒）", min: 5, max: 100, step: 1 },
+      headroom: { type: "number", label: "提升画质的余量比例", min: 0.1, max: 0.95, step: 0.05 },
+      downgradeDelay: { type: "integer", label: "降低画质前等待（毫秒）", min: 0, max: 10000, step: 100 },
+      upgradeDelay: { type: "integer", label: "提升画质前等待（毫秒）", min: 500, max: 120000, step: 500 },
+      maxUpgradeDelay: { type: "integer", label: "提升画质最长等待（毫秒）", min: 500, max: 600000, step: 500 },
+      maxPixelRatio: { type: "number", label: "最大像素比", min: 0.5, max: 4, step: 0.25 },
+    },
+  },
+  starfield: {
+    label: "星空",
+    fields: {
+      radius: { type: "number", label: "星空半径", min: 10, max: 200, step: 1, rebuild: true },
+      starCount: { type: "integer", label: "恒星数量", min: 0, max: 50000, step: 10, rebuild: true },
+      planetCount: { type: "integer", label: "行星数量", min: 0, max: 20, step: 1, rebuild: true },
+      backgroundStarCount: { type: "integer", label: "背景星数量", min: 0, max: 20000, step: 100, rebuild: true },
+      maxMoonsPerPlanet: { type: "integer", label: "每颗行星最多卫星", min: 0, max: 5, step: 1, rebuild: true },
+      rotationSpeed: { type: "number", label: "旋转速度", min: 0, max: 0.5, step: 0.005 },
+      backgroundRotationSpeed: { type: "number", label: "背景旋转速度", min: 0, max: 0.2, step: 0.005 },
+      mode: { type: "enum", label: "星空模式", options: { random: "随机生成", catalog: "真实星表" } },
+      catalogUrl: { type: "string", label: "星表地址" },
+      showOrbits: { type: "boolean", label: "显示轨道" },
+      timeScale: { type: "number", label: "模拟时间倍率", min: -100, max: 100, step: 0.5 },
+      minTimeScale: { type: "number", label: "最小时间倍率", min: -100, max: 0, step: 1 },
+      maxTimeScale: { type: "number", label: "最大时间倍率", min: 0, max: 100, step: 1 },
+    },
+  },
+  constellations: {
+    label: "星座",
+    fields: {
+      lineColor: { type: "color", label: "连线颜色" },
+      highlightColor: { type: "color", label: "选中与绘制中连线颜色" },
+      lineOpacity: { type: "number", label: "连线不透明度", min: 0.05, max: 1, step: 0.05 },
+      pickThreshold: { type: "number", label: "连线拾取距离", min: 0, max: 5, step: 0.1 },
+    },
+  },
+  calibration: {
+    label: "手势校准",
+    fields: {
+      sampleDuration: { type: "integer", label: "每步采样时长（毫秒）", min: 300, max: 10000, step: 100 },
+      settleTime: { type: "integer", label: "每步准备时间（毫秒）", min: 0, max: 5000, step: 100 },
+    },
+  },
+  assets: {
+    label: "资源与离线",
+    fields: {
+      mediapipeBaseUrl: { type: "string", label: "MediaPipe 资源目录", reload: true },
+      handModelUrl: { type: "string", label: "手部模型地址", reload: true },
+      loadTimeout: { type: "integer", label: "资源加载超时（毫秒）", min: 1000, max: 300000, step: 1000 },
+      serviceWorker: { type: "boolean", label: "离线缓存（Service Worker）", reload: true },
+      serviceWorkerUrl: { type: "string", label: "Service Worker 地址", reload: true },
+    },
+  },
+  ui: {
+    label: "界面",
+    fields: {
+      highlightClearDelay: { type: "integer", label: "高亮保持（毫秒）", min: 0, max: 20000, step: 100 },
+      noGestureClearDelay: { type: "integer", label: "无手势时取消高亮（毫秒）", min: 0, max: 20000, step: 100 },
+      highlightEmptyClearDelay: { type: "integer", label: "指向空白时取消高亮（毫秒）", min: 0, max: 20000, step: 100 },
+      infoCardHistorySize: { type: "integer", label: "最近查看数量", min: 1, max: 20, step: 1 },
+    },
+  },
+};
+
+// Pairs of values that must stay ordered; `strict` forbids equality.
+const SETTINGS_CONSTRAINTS = [
+  { lower: "camera.near", upper: "camera.far", strict: true },
+  { lower: "camera.minRadius", upper: "camera.maxRadius", strict: true },
+  { lower: "camera.minRadius", upper: "camera.initialRadius" },
+  { lower: "camera.initialRadius", upper: "camera.maxRadius" },
+  { lower: "camera.focusMinRadiusFactor", upper: "camera.focusMaxRadiusFactor", strict: true },
+  { lower: "gesture.minOpenness", upper: "gesture.maxOpenness", strict: true },
+  { lower: "gesture.minHandDistance", upper: "gesture.maxHandDistance", strict: true },
+  { lower: "scene.fogNear", upper: "scene.fogFar", strict: true },
+  { lower: "starfield.minTimeScale", upper: "starfield.timeScale" },
+  { lower: "starfield.timeScale", upper: "starfield.maxTimeScale" },
+  { lower: "performance.upgradeDelay", upper: "performance.maxUpgradeDelay" },
+];
+
+export const SETTING_FIELDS = Object.entries(SETTINGS_SCHEMA).flatMap(([section, { fields }]) =>
+  Object.entries(fields).map(([key, field]) => ({ path: `${section}.${key}`, section, key, field }))
+);
+const FIELDS_BY_PATH = new Map(SETTING_FIELDS.map((entry) => [entry.path, entry]));
+
+function clamp(value, min = -Infinity, max = Infinity) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Returns the value coerced into the field's type and range, or throws.
+export function validateSetting(path, value) {
+  const entry = FIELDS_BY_PATH.get(path);
+  if (!entry) {
+    throw new Error(`未知的设置项：${path}`);
+  }
+
+  const { field } = entry;
+  const invalid = () => new Error(`设置「${field.label}」的值无效：${JSON.stringify(value)}`);
+  switch (field.type) {
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) throw invalid();
+      return clamp(field.type === "integer" ? Math.round(number) : number, field.min, field.max);
+    }
+    case "boolean":
+      if (typeof value !== "boolean") throw invalid();
+      return value;
+    case "enum":
+      if (!Object.hasOwn(field.options, value)) throw invalid();
+      return value;
+    case "string":
+      if (typeof value !== "string" || value.trim() === "") throw invalid();
+      return value.trim();
+    case "color": {
+      const color = typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? parseInt(value.slice(1), 16) : value;
+      if (!Number.isInteger(color) || color < 0 || color > 0xffffff) throw invalid();
+      return color;
+    }
+    default:
+      throw invalid();
+  }
+}
+
+function checkConstraints(read) {
+  SETTINGS_CONSTRAINTS.forEach(({ lower, upper, strict }) => {
+    const low = read(lower);
+    const high = read(upper);
+    if (strict ? low < high : low <= high) return;
+    const lowerLabel = FIELDS_BY_PATH.get(lower).field.label;
+    const upperLabel = FIELDS_BY_PATH.get(upper).field.label;
+    throw new Error(`「${lowerLabel}」必须${strict ? "小于" : "不大于"}「${upperLabel}」`);
+  });
+}
+
+function readConfig(config, path) {
+  const { section, key } = FIELDS_BY_PATH.get(path);
+  return config[section][key];
+}
+
+function toNested(values) {
+  const nested = {};
+  Object.entries(values).forEach(([path, value]) => {
+    const { section, key } = FIELDS_BY_PATH.get(path);
+    nested[section] ??= {};
+    nested[section][key] = value;
+  });
+  return nested;
+}
+
+function flatten(nested) {
+  if (!nested || typeof nested !== "object" || Array.isArray(nested)) {
+    throw new Error("设置格式无效：应为按分组嵌套的对象");
+  }
+  const values = {};
+  Object.entries(nested).forEach(([section, fields]) => {
+    if (!SETTINGS_SCHEMA[section] || !fields || typeof fields !== "object") return;
+    Object.entries(fields).forEach(([key, value]) => {
+      const path = `${section}.${key}`;
+      if (FIELDS_BY_PATH.has(path)) values[path] = value;
+    });
+  });
+  return values;
+}
+
+// Owns every schema-described value in CONFIG: changes are validated, written
+// into CONFIG, saved to localStorage (only values that differ from the
+// defaults) and announced with a "change" event carrying
+// [{ path, section, key, field, value, previous }].
+export class SettingsStore extends EventEmitter {
+  constructor(config = CONFIG) {
+    super();
+    this.config = config;
+    this.defaults = Object.fromEntries(SETTING_FIELDS.map(({ path }) => [path, readConfig(config, path)]));
+    // CONFIG is a shared module object; restore() hands it back as it was found.
+    this.initial = { ...this.defaults };
+  }
+
+  // Starting values chosen by the embedding page. They become the defaults,
+  // so they are not saved as overrides and reset() returns to them.
+  setDefaults(values) {
+    const validated = {};
+    Object.entries(values).forEach(([path, value]) => {
+      validated[path] = validateSetting(path, value);
+    });
+    checkConstraints((path) => (path in validated ? validated[path] : this.get(path)));
+    Object.entries(validated).forEach(([path, value]) => {
+      const { section, key } = FIELDS_BY_PATH.get(path);
+      this.config[section][key] = value;
+      this.defaults[path] = value;
+    });
+  }
+
+  restore() {
+    Object.entries(this.initial).forEach(([path, value]) => {
+      const { section, key } = FIELDS_BY_PATH.get(path);
+      this.config[section][key] = value;
+    });
+  }
+
+  get(path) {
+    if (!FIELDS_BY_PATH.has(path)) {
+      throw new Error(`未知的设置项：${path}`);
+    }
+    return readConfig(this.config, path);
+  }
+
+  set(path, value) {
+    return this.update({ [path]: value });
+  }
+
+  // Applies several values at once; either all of them are applied or none.
+  update(values) {
+    const validated = {};
+    Object.entries(values).forEach(([path, value]) => {
+      validated[path] = validateSetting(path, value);
+    });
+    checkConstraints((path) => (path in validated ? validated[path] : this.get(path)));
+
+    const changes = [];
+    Object.entries(validated).forEach(([path, value]) => {
+      const previous = this.get(path);
+      if (Object.is(previous, value)) return;
+      const { section, key, field } = FIELDS_BY_PATH.get(path);
+      this.config[section][key] = value;
+      changes.push({ path, section, key, field, value, previous });
+    });
+
+    if (changes.length) {
+      this._save();
+      this._emit("change", changes);
+    }
+    return changes;
+  }
+
+  reset() {
+    const changes = this.update(this.defaults);
+    try {
+      localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch (error) {
+      console.warn("Failed to clear saved settings", error);
+    }
+    return changes;
+  }
+
+  // Applies saved settings before the app reads CONFIG. Entries that no longer
+  // validate are dropped; if the saved set as a whole is inconsistent it is
+  // discarded in favour of the defaults.
+  load() {
+    let saved;
+    try {
+      saved = flatten(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) ?? {});
+    } catch (error) {
+      console.warn("Ignoring unreadable saved settings", error);
+      return;
+    }
+
+    const values = {};
+    Object.entries(saved).forEach(([path, value]) => {
+      try {
+        values[path] = validateSetting(path, value);
+      } catch (error) {
+        console.warn(`Ignoring saved setting ${path}`, error);
+      }
+    });
+    try {
+      checkConstraints((path) => (path in values ? values[path] : this.get(path)));
+    } catch (error) {
+      console.warn("Ignoring inconsistent saved settings", error);
+      return;
+    }
+    Object.entries(values).forEach(([path, value]) => {
+      const { section, key } = FIELDS_BY_PATH.get(path);
+      this.config[section][key] = value;
+    });
+  }
+
+  export() {
+    const values = Object.fromEntries(SETTING_FIELDS.map(({ path }) => [path, this.get(path)]));
+    return JSON.stringify({ format: SETTINGS_FORMAT, version: SETTINGS_VERSION, settings: toNested(values) }, null, 2);
+  }
+
+  import(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("设置文件不是有效的 JSON");
+    }
+    if (data?.format !== SETTINGS_FORMAT) {
+      throw new Error("不是星空设置文件");
+    }
+    if (data.version !== SETTINGS_VERSION) {
+      throw new Error(`不支持的设置文件版本：${data.version}`);
+    }
+    return this.update(flatten(data.settings));
+  }
+
+  _save() {
+    const overrides = {};
+    SETTING_FIELDS.forEach(({ path }) => {
+      const value = this.get(path);
+      if (!Object.is(value, this.defaults[path])) overrides[path] = value;
+    });
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(toNested(overrides)));
+    } catch (error) {
+      console.warn("Failed to save settings", error);
+    }
+  }
+}
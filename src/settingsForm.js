@@ -0,0 +1,112 @@
+import { SETTING_FIELDS, SETTINGS_SCHEMA } from "./settings.js";
+import { EventEmitter } from "./eventEmitter.js";
+
+function toColorInput(value) {
+  return `#${value.toString(16).padStart(6, "0")}`;
+}
+
+function createInput({ path, field }) {
+  let input;
+  switch (field.type) {
+    case "boolean":
+      input = document.createElement("input");
+      input.type = "checkbox";
+      break;
+    case "enum":
+      input = document.createElement("select");
+      Object.entries(field.options).forEach(([value, label]) => {
+        input.append(new Option(label, value));
+      });
+      break;
+    case "color":
+      input = document.createElement("input");
+      input.type = "color";
+      break;
+    case "string":
+      input = document.createElement("input");
+      input.type = "text";
+      break;
+    default:
+      input = document.createElement("input");
+      input.type = "number";
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step ?? "any";
+  }
+  input.dataset.path = path;
+  return input;
+}
+
+// Generated form for every field in SETTINGS_SCHEMA, one collapsible group
+// per CONFIG section. Edits go through the store, so invalid values are
+// rejected there; the form re-syncs from the store on every change. Emits
+// "error" when the store rejects an edit.
+export class SettingsForm extends EventEmitter {
+  constructor(container, store) {
+    super();
+    this.container = container;
+    this.store = store;
+    this.inputs = new Map();
+    this.sync = this.sync.bind(this);
+
+    this._build();
+    this.sync();
+    store.on("change", this.sync);
+  }
+
+  dispose() {
+    this.store.off("change", this.sync);
+    this.container.replaceChildren();
+    this.inputs.clear();
+    this.removeAllListeners();
+  }
+
+  _build() {
+    const groups = Object.entries(SETTINGS_SCHEMA).map(([section, { label }]) => {
+      const group = document.createElement("details");
+      group.className = "settings-group";
+      const summary = document.createElement("summary");
+      summary.textContent = label;
+      group.append(summary);
+
+      SETTING_FIELDS.filter((entry) => entry.section === section).forEach((entry) => {
+        // The input sits inside its label, so no ids are needed and several
+        // forms can share a page.
+        const row = document.createElement("label");
+        row.className = "settings-row";
+        const input = createInput(entry);
+        const label = document.createElement("span");
+        label.textContent = entry.field.reload ? `${entry.field.label}（重新加载后生效）` : entry.field.label;
+        input.addEventListener("change", () => this._commit(entry, input));
+        row.append(label, input);
+        group.append(row);
+        this.inputs.set(entry.path, { input, field: entry.field });
+      });
+      return group;
+    });
+    this.container.replaceChildren(...groups);
+  }
+
+  _commit({ path, field }, input) {
+    try {
+      this.store.set(path, field.type === "boolean" ? input.checked : input.value);
+    } catch (error) {
+      this._emit("error", error);
+    }
+    // Show the stored value, which may have been clamped or left unchanged.
+    this.sync();
+  }
+
+  sync() {
+    this.inputs.forEach(({ input, field }, path) => {
+      const value = this.store.get(path);
+      if (field.type === "boolean") {
+        input.checked = value;
+      } else if (field.type === "color") {
+        input.value = toColorInput(value);
+      } else {
+        input.value = String(value);
+      }
+    });
+  }
+}
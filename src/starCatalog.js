@@ -0,0 +1,164 @@
+import * as THREE from "three";
+
+// Catalog files use HYG database column names (ra in hours, dec in degrees,
+// dist in parsecs, mag, ci = B-V colour index, spect, proper). JSON files are
+// an array of such records and may add a localized `name`; CSV files are HYG
+// exports with a header row.
+const UNKNOWN_DISTANCE = 100000;
+const PARSEC_IN_LIGHT_YEARS = 3.2616;
+
+const SPECTRAL_CLASS_TEMPERATURES = {
+  O: 35000,
+  B: 20000,
+  A: 9000,
+  F: 7000,
+  G: 5600,
+  K: 4500,
+  M: 3300,
+};
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === "," && !quoted) {
+      cells.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+export function parseCatalogCsv(text) {
+  const [headerLine, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const headers = splitCsvLine(headerLine).map((header) => header.trim());
+  return lines.map((line) => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(headers.map((header, index) => [header, cells[index]]));
+  });
+}
+
+function normalizeEntry(raw) {
+  const ra = parseNumber(raw.ra);
+  const dec = parseNumber(raw.dec);
+  const distance = parseNumber(raw.dist);
+  if (ra === null || dec === null || distance === null || distance <= 0 || distance >= UNKNOWN_DISTANCE) {
+    return null;
+  }
+
+  const designation = raw.proper || raw.bf || (raw.hip ? `HIP ${raw.hip}` : null);
+  return {
+    name: raw.name || designation || `RA ${ra.toFixed(2)}h Dec ${dec.toFixed(1)}°`,
+    designation,
+    ra,
+    dec,
+    distance,
+    magnitude: parseNumber(raw.mag),
+    colorIndex: parseNumber(raw.ci),
+    spectralType: raw.spect || null,
+  };
+}
+
+export function normalizeCatalog(records) {
+  if (!Array.isArray(records)) {
+    throw new Error("星表格式无效：应为记录数组");
+  }
+  const entries = records.map(normalizeEntry).filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error("星表中没有可用的恒星记录");
+  }
+  return entries;
+}
+
+export async function loadStarCatalog(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`无法加载星表 ${url}（${response.status}）`);
+  }
+
+  const text = await response.text();
+  const isCsv = /\.csv(\?|$)/i.test(url) || response.headers.get("content-type")?.includes("csv");
+  return normalizeCatalog(isCsv ? parseCatalogCsv(text) : JSON.parse(text));
+}
+
+// Ballesteros' formula for the effective temperature of a black body with the
+// given B-V colour index, falling back to the spectral class.
+export function estimateTemperature({ colorIndex, spectralType }) {
+  if (colorIndex !== null && colorIndex !== undefined) {
+    return 4600 * (1 / (0.92 * colorIndex + 1.7) + 1 / (0.92 * colorIndex + 0.62));
+  }
+  const spectralClass = spectralType?.trim()[0]?.toUpperCase();
+  return SPECTRAL_CLASS_TEMPERATURES[spectralClass] ?? SPECTRAL_CLASS_TEMPERATURES.G;
+}
+
+// Approximate black-body colour (Tanner Helland's fit), in sRGB.
+export function temperatureToColor(kelvin, target = new THREE.Color()) {
+  const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  let blue = 255;
+  if (t < 66) {
+    blue = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  }
+
+  const channel = (value) => THREE.MathUtils.clamp(value, 0, 255) / 255;
+  return target.setRGB(channel(red), channel(green), channel(blue), THREE.SRGBColorSpace);
+}
+
+// Real distances span several orders of magnitude, so they are compressed
+// logarithmically into the scene radius while keeping the true direction.
+export function catalogPosition(entry, sceneRadius, maxDistance, target = new THREE.Vector3()) {
+  const ra = (entry.ra / 24) * Math.PI * 2;
+  const dec = THREE.MathUtils.degToRad(entry.dec);
+  const r = sceneRadius * (Math.log1p(entry.distance) / Math.log1p(maxDistance));
+  return target.set(
+    r * Math.cos(dec) * Math.cos(ra),
+    r * Math.sin(dec),
+    -r * Math.cos(dec) * Math.sin(ra)
+  );
+}
+
+// Brighter (lower magnitude) stars are drawn larger.
+export function magnitudeToRadius(magnitude) {
+  if (magnitude === null || magnitude === undefined) return 0.25;
+  return THREE.MathUtils.clamp(0.42 - magnitude * 0.04, 0.16, 0.55);
+}
+
+export function formatDistance(parsecs) {
+  return `${(parsecs * PARSEC_IN_LIGHT_YEARS).toFixed(1)} 光年`;
+}
+
+export function formatRightAscension(hours) {
+  // Rounded before splitting, so 59.6s carries over instead of showing "60s".
+  const total = Math.round(hours * 3600) % (24 * 3600);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return `${h}h ${m}m ${s}s`;
+}
+
+export function formatDeclination(degrees) {
+  const sign = degrees < 0 ? "-" : "+";
+  const absolute = Math.abs(degrees);
+  const d = Math.floor(absolute);
+  const m = Math.floor((absolute - d) * 60);
+  return `${sign}${d}° ${m}′`;
+}
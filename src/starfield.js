@@ -1,18 +1,45 @@
-import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js";
+import * as THREE from "three";
 import { CONFIG } from "./config.js";
+import { createOrbitPathGeometry, describeOrbit, orbitalPosition } from "./orbits.js";
+import { createRandom, deriveSeed, generateSeed, normalizeSeed } from "./random.js";
+import {
+  catalogPosition,
+  estimateTemperature,
+  formatDeclination,
+  formatDistance,
+  formatRightAscension,
+  magnitudeToRadius,
+  temperatureToColor,
+} from "./starCatalog.js";
 
 const DEFAULTS = CONFIG.starfield;
-
-function randomInRange(min, max) {
-  return Math.random() * (max - min) + min;
+const STAR_HIGHLIGHT_COLOR = new THREE.Color(0xf0f6ff).multiplyScalar(1.6 / 1.05);
+// The outline proxy sits just outside the star so its depth wins over the
+// star's own surface in OutlinePass's occlusion test.
+const HIGHLIGHT_PROXY_SCALE = 1.08;
+// A focused body is framed focusRadiusFactor radii away; a constellation's
+// bounding radius is scaled down so the whole figure fits the view.
+const CONSTELLATION_FOCUS_SCALE = 0.3;
+
+const _instanceMatrix = new THREE.Matrix4();
+const _instanceQuaternion = new THREE.Quaternion();
+const _instanceScale = new THREE.Vector3();
+const _inverseMatrix = new THREE.Matrix4();
+const _localRay = new THREE.Ray();
+const _sphere = new THREE.Sphere();
+const _hitPoint = new THREE.Vector3();
+const _orbitOffset = new THREE.Vector3();
+
+function randomInRange(random, min, max) {
+  return random() * (max - min) + min;
 }
 
-function randomVectorOnSphere(radius) {
-  const u = Math.random();
-  const v = Math.random();
+function randomVectorOnSphere(random, radius) {
+  const u = random();
+  const v = random();
   const theta = 2 * Math.PI * u;
   const phi = Math.acos(2 * v - 1);
-  const r = radius * Math.cbrt(Math.random());
+  const r = radius * Math.cbrt(random());
   const sinPhi = Math.sin(phi);
 
   return new THREE.Vector3(
@@ -22,7 +49,7 @@ function randomVectorOnSphere(radius) {
   );
 }
 
-function createGlowingMaterial({ color, emissiveIntensity = 0.85 }) {
+function createGlowingMaterial({ color, emissiveIntensity = 0.85, instanced = false }) {
   const material = new THREE.MeshStandardMaterial({
     color,
     emissive: color,
@@ -30,53 +57,167 @@ function createGlowingMaterial({ color, emissiveIntensity = 0.85 }) {
     metalness: 0.2,
     roughness: 0.35,
   });
+
+  if (instanced) {
+    // Instance colors only tint the diffuse term by default; tint the glow as well.
+    material.onBeforeCompile = (shader) => {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        "#include <emissivemap_fragment>",
+        "#include <emissivemap_fragment>\n#ifdef USE_COLOR\n  totalEmissiveRadiance *= vColor;\n#endif"
+      );
+    };
+  }
   return material;
 }
 
+// Stand-in for a highlighted star: single instances of the InstancedMesh
+// cannot be outlined on their own. It writes neither color nor depth, so it
+// only shows up in passes that override its material.
+function createHighlightProxy() {
+  const proxy = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 16, 16),
+    new THREE.MeshBasicMaterial({ colorWrite: false, depthWrite: false })
+  );
+  proxy.visible = false;
+  return proxy;
+}
+
+// A single star drawn by the shared InstancedMesh. It mirrors the parts of the
+// Object3D API that callers rely on (userData, getWorldPosition) so stars and
+// planet meshes can be handled alike.
+class StarInstance {
+  constructor(mesh, instanceId, { position, radius, color, userData }) {
+    this.isStarInstance = true;
+    this.mesh = mesh;
+    this.instanceId = instanceId;
+    this.position = position;
+    this.radius = radius;
+    this.color = color;
+    this.userData = userData;
+  }
+
+  getWorldPosition(target = new THREE.Vector3()) {
+    this.mesh.updateWorldMatrix(true, false);
+    return target.copy(this.position).applyMatrix4(this.mesh.matrixWorld);
+  }
+}
+
 export class Starfield {
   constructor(scene, options = {}) {
     this.scene = scene;
     this.options = { ...DEFAULTS, ...options };
+    this.seed = normalizeSeed(this.options.seed) ?? generateSeed();
 
     this.group = new THREE.Group();
     this.backgroundGroup = new THREE.Group();
     this.pickableObjects = [];
+    this.stars = [];
+    this.planets = [];
+    this.moons = [];
+    this.orbiters = [];
+    this.starMesh = null;
     this.highlighted = null;
+    this.highlightProxy = createHighlightProxy();
+    this.group.add(this.highlightProxy);
+    this.lights = [];
+    this.orbitGroup = new THREE.Group();
+    this.orbitGroup.visible = this.options.showOrbits;
+    this.group.add(this.orbitGroup);
+
+    this.simulationTime = 0;
+    this.timeScale = this.options.timeScale;
+    this.paused = false;
+    this.backgroundDetail = 1;
+
+    this._buildBodies();
+    this._setupLights();
 
+    scene.add(this.backgroundGroup);
+    scene.add(this.group);
+  }
+
+  // Each build stage draws from its own stream so that changing one count
+  // (e.g. backgroundStarCount) does not reshuffle the other bodies.
+  _createRandom(stream) {
+    return createRandom(deriveSeed(this.seed, stream));
+  }
+
+  _buildBodies() {
     this._buildBackground();
     this._buildStars();
     this._buildPlanets();
-    this._setupLights();
+    this._buildMoons();
+    this._assignOrbitHosts();
+    this._updateOrbits();
+  }
 
-    scene.add(this.backgroundGroup);
-    scene.add(this.group);
+  // Rebuilds every body from the current options with the same seed, e.g.
+  // after starCount changes. Simulation time and rotation carry over.
+  regenerate() {
+    this.clearHighlight();
+    this._disposeBodies();
+    this._buildBodies();
+  }
+
+  _disposeBodies() {
+    this._disposeStars();
+    const disposeObject = (object) => {
+      object.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      });
+      object.removeFromParent();
+    };
+    [...this.planets, ...this.moons].forEach(disposeObject);
+    [...this.orbitGroup.children, ...this.backgroundGroup.children].forEach(disposeObject);
+    this.planets = [];
+    this.moons = [];
+    this.orbiters = [];
+    this.pickableObjects = [];
   }
 
   _setupLights() {
     const ambient = new THREE.AmbientLight(0x223366, 0.8);
-    this.scene.add(ambient);
 
     const rimLight = new THREE.DirectionalLight(0xcad6ff, 1.2);
     rimLight.position.set(1.2, 1.8, 2.8);
-    this.scene.add(rimLight);
 
     const fillLight = new THREE.PointLight(0x1d3df5, 60, 120, 2.2);
     fillLight.position.set(-24, -30, -36);
-    this.scene.add(fillLight);
+
+    this.lights = [ambient, rimLight, fillLight];
+    this.lights.forEach((light) => this.scene.add(light));
+  }
+
+  // Frees every geometry and material the starfield created and removes its
+  // objects and lights from the scene. The instance is unusable afterwards.
+  dispose() {
+    this.clearHighlight();
+    this._disposeBodies();
+    this.lights.forEach((light) => {
+      light.removeFromParent();
+      light.dispose();
+    });
+    this.lights = [];
+    this.highlightProxy.geometry.dispose();
+    this.highlightProxy.material.dispose();
+    this.group.removeFromParent();
+    this.backgroundGroup.removeFromParent();
   }
 
   _buildBackground() {
+    const random = this._createRandom("background");
     const positions = new Float32Array(this.options.backgroundStarCount * 3);
     const colors = new Float32Array(this.options.backgroundStarCount * 3);
     const color = new THREE.Color();
 
     for (let i = 0; i < this.options.backgroundStarCount; i += 1) {
-      const position = randomVectorOnSphere(this.options.radius * 1.1 + Math.random() * 12);
+      const position = randomVectorOnSphere(random, this.options.radius * 1.1 + random() * 12);
       positions[i * 3] = position.x;
       positions[i * 3 + 1] = position.y;
       positions[i * 3 + 2] = position.z;
 
-      color.setHSL(0.55 + Math.random() * 0.12, 0.7 + Math.random() * 0.25, 0.7 + Math.random() * 0.25);
+      color.setHSL(0.55 + random() * 0.12, 0.7 + random() * 0.25, 0.7 + random() * 0.25);
       colors[i * 3] = color.r;
       colors[i * 3 + 1] = color.g;
       colors[i * 3 + 2] = color.b;
@@ -94,40 +235,154 @@ export class Starfield {
 
     const points = new THREE.Points(geometry, material);
     this.backgroundGroup.add(points);
+    this._applyBackgroundDetail();
+  }
+
+  // Draws only the first `fraction` of the background stars. They are laid
+  // out in random order, so any prefix is an even thinning of the whole sky,
+  // and no geometry has to be rebuilt.
+  setBackgroundDetail(fraction) {
+    this.backgroundDetail = THREE.MathUtils.clamp(fraction, 0, 1);
+    this._applyBackgroundDetail();
+  }
+
+  _applyBackgroundDetail() {
+    const count = Math.round(this.options.backgroundStarCount * this.backgroundDetail);
+    this.backgroundGroup.children.forEach((points) => points.geometry.setDrawRange(0, count));
   }
 
   _buildStars() {
-    const color = new THREE.Color();
+    const { catalog } = this.options;
+    const count = catalog ? catalog.length : this.options.starCount;
+
+    // One unit sphere scaled per instance keeps every star in a single draw call.
+    const geometry = new THREE.SphereGeometry(1, 12, 12);
+    const material = createGlowingMaterial({ color: 0xffffff, emissiveIntensity: 1.05, instanced: true });
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+
+    const stars = catalog ? this._createCatalogStars(mesh, catalog) : this._createRandomStars(mesh);
+    stars.forEach((star) => {
+      this._writeStarInstance(star, star.radius, star.color);
+      this.stars.push(star);
+    });
+
+    mesh.computeBoundingSphere();
+    mesh.raycast = (raycaster, intersects) => this._raycastStars(raycaster, intersects);
+    this.starMesh = mesh;
+    this.group.add(mesh);
+    this.pickableObjects.push(mesh);
+  }
+
+  _createRandomStars(mesh) {
+    const random = this._createRandom("stars");
+    const stars = [];
 
     for (let i = 0; i < this.options.starCount; i += 1) {
-      const star = new THREE.SphereGeometry(randomInRange(0.18, 0.45), 12, 12);
-      color.setHSL(0.52 + Math.random() * 0.18, 0.75, 0.67 + Math.random() * 0.1);
-      const material = createGlowingMaterial({ color: color.clone(), emissiveIntensity: 1.05 });
-      const mesh = new THREE.Mesh(star, material);
-      const position = randomVectorOnSphere(this.options.radius * 0.92);
-      mesh.position.copy(position);
-      mesh.userData = {
-        type: "star",
-        label: `星辰 ${i + 1}`,
-        kindLabel: "恒星",
-        temperature: Math.round(randomInRange(3000, 12000)) + "K",
-        mass: randomInRange(0.5, 20).toFixed(2) + " M☉",
-        baseEmissive: material.emissive.clone(),
-        baseEmissiveIntensity: material.emissiveIntensity,
-        baseScale: mesh.scale.clone(),
-      };
+      const radius = randomInRange(random, 0.18, 0.45);
+      const color = new THREE.Color().setHSL(0.52 + random() * 0.18, 0.75, 0.67 + random() * 0.1);
+      const position = randomVectorOnSphere(random, this.options.radius * 0.92);
+      stars.push(new StarInstance(mesh, i, {
+        position,
+        radius,
+        color,
+        userData: {
+          type: "star",
+          label: `星辰 ${i + 1}`,
+          kindLabel: "恒星",
+          temperature: Math.round(randomInRange(random, 3000, 12000)) + "K",
+          mass: randomInRange(random, 0.5, 20).toFixed(2) + " M☉",
+        },
+      }));
+    }
+    return stars;
+  }
 
-      this.group.add(mesh);
-      this.pickableObjects.push(mesh);
+  _createCatalogStars(mesh, catalog) {
+    // Spreading the distances into Math.max overflows the stack for large catalogs.
+    const maxDistance = catalog.reduce((max, entry) => Math.max(max, entry.distance), -Infinity);
+
+    return catalog.map((entry, i) => {
+      const temperature = estimateTemperature(entry);
+      return new StarInstance(mesh, i, {
+        position: catalogPosition(entry, this.options.radius * 0.92, maxDistance),
+        radius: magnitudeToRadius(entry.magnitude),
+        color: temperatureToColor(temperature),
+        userData: {
+          type: "star",
+          catalog: true,
+          label: entry.name,
+          kindLabel: "恒星",
+          designation: entry.designation,
+          spectralType: entry.spectralType ?? "未知",
+          magnitude: entry.magnitude !== null ? entry.magnitude.toFixed(2) : "未知",
+          temperature: Math.round(temperature) + "K",
+          distance: formatDistance(entry.distance),
+          rightAscension: formatRightAscension(entry.ra),
+          declination: formatDeclination(entry.dec),
+        },
+      });
+    });
+  }
+
+  // Swaps the star set between a loaded catalog and the random generator
+  // (pass null). Planets keep their orbits and move to the new host stars.
+  setCatalog(catalog) {
+    this.clearHighlight();
+    this.options.catalog = catalog;
+    this._disposeStars();
+    this._buildStars();
+    this._assignOrbitHosts();
+    this._updateOrbits();
+  }
+
+  _disposeStars() {
+    const mesh = this.starMesh;
+    if (!mesh) return;
+
+    this.group.remove(mesh);
+    this.pickableObjects = this.pickableObjects.filter((object) => object !== mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    mesh.dispose();
+    this.starMesh = null;
+    this.stars = [];
+  }
+
+  // Analytic ray/sphere tests are far cheaper than InstancedMesh's default
+  // per-instance triangle raycast once starCount reaches the tens of thousands.
+  _raycastStars(raycaster, intersects) {
+    const mesh = this.starMesh;
+    _inverseMatrix.copy(mesh.matrixWorld).invert();
+    _localRay.copy(raycaster.ray).applyMatrix4(_inverseMatrix);
+
+    for (const star of this.stars) {
+      _sphere.set(star.position, star.radius);
+      if (!_localRay.intersectSphere(_sphere, _hitPoint)) continue;
+
+      const point = _hitPoint.clone().applyMatrix4(mesh.matrixWorld);
+      const distance = raycaster.ray.origin.distanceTo(point);
+      if (distance < raycaster.near || distance > raycaster.far) continue;
+
+      intersects.push({ distance, point, object: mesh, instanceId: star.instanceId });
     }
   }
 
+  _writeStarInstance(star, scale, color) {
+    _instanceScale.setScalar(scale);
+    _instanceMatrix.compose(star.position, _instanceQuaternion, _instanceScale);
+    star.mesh.setMatrixAt(star.instanceId, _instanceMatrix);
+    star.mesh.setColorAt(star.instanceId, color);
+    star.mesh.instanceMatrix.needsUpdate = true;
+    star.mesh.instanceColor.needsUpdate = true;
+  }
+
   _buildPlanets() {
+    const random = this._createRandom("planets");
     const color = new THREE.Color();
 
     for (let i = 0; i < this.options.planetCount; i += 1) {
-      const geometry = new THREE.SphereGeometry(randomInRange(1.2, 2.4), 24, 24);
-      color.setHSL(Math.random(), 0.5, 0.55);
+      const geometry = new THREE.SphereGeometry(randomInRange(random, 1.2, 2.4), 24, 24);
+      color.setHSL(random(), 0.5, 0.55);
       const material = new THREE.MeshStandardMaterial({
         color: color.clone(),
         emissive: color.clone().multiplyScalar(0.35),
@@ -136,31 +391,139 @@ export class Starfield {
         roughness: 0.3,
       });
       const mesh = new THREE.Mesh(geometry, material);
-      const position = randomVectorOnSphere(this.options.radius * 0.75);
-      mesh.position.copy(position);
+      // Planets pick their host by index so the same seed keeps the same
+      // pairing whichever star set is loaded.
+      const hostIndex = Math.floor(random() * 0x7fffffff);
+      const elements = {
+        semiMajorAxis: randomInRange(random, 5, 11),
+        eccentricity: randomInRange(random, 0, 0.35),
+        inclination: THREE.MathUtils.degToRad(randomInRange(random, 0, 25)),
+        longitudeOfAscendingNode: random() * Math.PI * 2,
+        argumentOfPeriapsis: random() * Math.PI * 2,
+        period: randomInRange(random, 40, 160),
+        meanAnomalyAtEpoch: random() * Math.PI * 2,
+      };
 
-      const ringCount = Math.random() > 0.6 ? 2 : 0;
+      const ringCount = random() > 0.6 ? 2 : 0;
       if (ringCount) {
-        this._createPlanetRings(mesh);
+        this._createPlanetRings(mesh, random);
       }
 
       mesh.userData = {
         type: "planet",
         label: `行星 ${i + 1}`,
         kindLabel: "行星",
-        atmosphere: Math.random() > 0.3 ? "存在" : "无",
-        gravity: randomInRange(0.5, 2.5).toFixed(2) + " g",
+        atmosphere: random() > 0.3 ? "存在" : "无",
+        gravity: randomInRange(random, 0.5, 2.5).toFixed(2) + " g",
+        ...describeOrbit(elements),
+        orbitalElements: elements,
         baseEmissive: material.emissive.clone(),
         baseEmissiveIntensity: material.emissiveIntensity,
-        baseScale: mesh.scale.clone(),
       };
 
       this.group.add(mesh);
+      this.planets.push(mesh);
       this.pickableObjects.push(mesh);
+      this._addOrbiter(mesh, elements, { hostIndex, pathColor: 0x5b7cff, pathOpacity: 0.28 });
     }
   }
 
-  _createPlanetRings(planet) {
+  _buildMoons() {
+    const random = this._createRandom("moons");
+    const color = new THREE.Color();
+
+    this.planets.forEach((planet) => {
+      const moonCount = Math.floor(random() * (this.options.maxMoonsPerPlanet + 1));
+      const planetRadius = planet.geometry.parameters.radius;
+
+      for (let i = 0; i < moonCount; i += 1) {
+        const geometry = new THREE.SphereGeometry(planetRadius * randomInRange(random, 0.18, 0.32), 16, 16);
+        color.setHSL(0.08 + random() * 0.5, 0.15, 0.6);
+        const material = new THREE.MeshStandardMaterial({
+          color: color.clone(),
+          emissive: color.clone().multiplyScalar(0.25),
+          emissiveIntensity: 0.7,
+          metalness: 0.2,
+          roughness: 0.6,
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        // Moons stay outside the planet's rings (up to 1.8 planet radii).
+        const elements = {
+          semiMajorAxis: planetRadius * (2.6 + i * 1.2 + random() * 0.8),
+          eccentricity: randomInRange(random, 0, 0.15),
+          inclination: THREE.MathUtils.degToRad(randomInRange(random, 0, 30)),
+          longitudeOfAscendingNode: random() * Math.PI * 2,
+          argumentOfPeriapsis: random() * Math.PI * 2,
+          period: randomInRange(random, 8, 24),
+          meanAnomalyAtEpoch: random() * Math.PI * 2,
+        };
+
+        mesh.userData = {
+          type: "moon",
+          label: `${planet.userData.label} · 卫星 ${i + 1}`,
+          kindLabel: "卫星",
+          host: planet.userData.label,
+          ...describeOrbit(elements),
+          orbitalElements: elements,
+          baseEmissive: material.emissive.clone(),
+          baseEmissiveIntensity: material.emissiveIntensity,
+        };
+
+        this.group.add(mesh);
+        this.moons.push(mesh);
+        this.pickableObjects.push(mesh);
+        this._addOrbiter(mesh, elements, { host: planet, pathColor: 0x8fa6d8, pathOpacity: 0.2 });
+      }
+    });
+  }
+
+  _addOrbiter(body, elements, { host = null, hostIndex = null, pathColor, pathOpacity }) {
+    const path = new THREE.LineLoop(
+      createOrbitPathGeometry(elements),
+      new THREE.LineBasicMaterial({ color: pathColor, transparent: true, opacity: pathOpacity, depthWrite: false })
+    );
+    this.orbitGroup.add(path);
+    this.orbiters.push({ body, elements, host, hostIndex, path });
+  }
+
+  // Star hosts are looked up again whenever the star set changes.
+  _assignOrbitHosts() {
+    this.orbiters.forEach((orbiter) => {
+      if (orbiter.hostIndex === null) return;
+      orbiter.host = this.stars[orbiter.hostIndex % this.stars.length] ?? null;
+      orbiter.body.userData.host = orbiter.host?.userData.label ?? "无";
+    });
+  }
+
+  // Planets are updated before their moons (see the orbiter order), so moons
+  // follow the planet's position for this frame.
+  _updateOrbits() {
+    this.orbiters.forEach(({ body, elements, host, path }) => {
+      orbitalPosition(elements, this.simulationTime, _orbitOffset);
+      if (host) {
+        path.position.copy(host.position);
+        body.position.copy(host.position).add(_orbitOffset);
+      } else {
+        path.position.set(0, 0, 0);
+        body.position.copy(_orbitOffset);
+      }
+    });
+  }
+
+  // Negative scales run the simulation backwards.
+  setTimeScale(scale) {
+    this.timeScale = scale;
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  setOrbitsVisible(visible) {
+    this.orbitGroup.visible = visible;
+  }
+
+  _createPlanetRings(planet, random) {
     const ringGeometry = new THREE.RingGeometry(planet.geometry.parameters.radius * 1.3, planet.geometry.parameters.radius * 1.8, 48);
     const ringMaterial = new THREE.MeshBasicMaterial({
       color: 0xaad4ff,
@@ -169,22 +532,90 @@ export class Starfield {
       opacity: 0.28,
     });
     const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    ring.rotateX(Math.PI / 2.6 + Math.random() * 0.4);
+    ring.rotateX(Math.PI / 2.6 + random() * 0.4);
     planet.add(ring);
   }
 
+  // Objects for raycasting callers, to be mapped back with
+  // resolveIntersection(). The app itself picks on screen (screenPicker.js).
   getPickableObjects() {
     return this.pickableObjects;
   }
 
+  getBodies() {
+    return [...this.stars, ...this.planets, ...this.moons];
+  }
+
+  // A getWorldPosition(body, target) for positioning many bodies at once: the
+  // star mesh's world matrix is brought up to date here, once, rather than
+  // for every star. Only valid until the starfield next moves.
+  createBodyPositionReader() {
+    this.starMesh?.updateWorldMatrix(true, false);
+    return (body, target) =>
+      body.isStarInstance ? target.copy(body.position).applyMatrix4(body.mesh.matrixWorld) : body.getWorldPosition(target);
+  }
+
+  // Radius of a body in world units.
+  getBodyRadius(body) {
+    if (body.isStarInstance) {
+      return body.radius;
+    }
+    if (body.isConstellation) {
+      return body.radius * CONSTELLATION_FOCUS_SCALE;
+    }
+    return body.geometry.parameters.radius * body.scale.x;
+  }
+
+  // The object a renderer should outline for the current highlight, or null.
+  // Constellations are lit up by their line colour instead.
+  getHighlightObject() {
+    if (!this.highlighted || this.highlighted.isConstellation) return null;
+    return this.highlighted.isStarInstance ? this.highlightProxy : this.highlighted;
+  }
+
+  getBodyColor(body) {
+    return body.isStarInstance || body.isConstellation ? body.color : body.material.color;
+  }
+
+  // Maps a raycaster hit to the body it represents: the StarInstance for hits on
+  // the instanced star mesh, the mesh itself for planets and moons.
+  resolveIntersection(intersection) {
+    if (!intersection) return null;
+    const { object, instanceId } = intersection;
+    if (object === this.starMesh && instanceId !== undefined) {
+      return this.stars[instanceId] ?? null;
+    }
+    return object;
+  }
+
   update(deltaTime) {
     this.group.rotation.y += deltaTime * this.options.rotationSpeed;
     this.backgroundGroup.rotation.y += deltaTime * this.options.backgroundRotationSpeed;
+
+    if (!this.paused) {
+      this.simulationTime += deltaTime * this.timeScale;
+    }
+    this._updateOrbits();
   }
 
   clearHighlight() {
     if (!this.highlighted) return;
 
+    if (this.highlighted.isStarInstance) {
+      const star = this.highlighted;
+      this._writeStarInstance(star, star.radius, star.color);
+      delete star.userData.isHighlighted;
+      this.highlightProxy.visible = false;
+      this.highlighted = null;
+      return;
+    }
+
+    if (this.highlighted.isConstellation) {
+      this.highlighted.setHighlighted(false);
+      this.highlighted = null;
+      return;
+    }
+
     const { material, userData } = this.highlighted;
     if (material && userData?.baseEmissive) {
       material.emissive.copy(userData.baseEmissive);
@@ -193,10 +624,6 @@ export class Starfield {
       }
     }
 
-    if (userData?.baseScale) {
-      this.highlighted.scale.copy(userData.baseScale);
-    }
-
     delete this.highlighted.userData.isHighlighted;
     this.highlighted = null;
   }
@@ -207,16 +634,33 @@ export class Starfield {
       return;
     }
 
-    if (this.highlighted && this.highlighted !== object) {
+    if (this.highlighted === object) return;
+    if (this.highlighted) {
       this.clearHighlight();
     }
 
+    if (object.isStarInstance) {
+      // Brightening is enough: the boosted emissive crosses the bloom threshold.
+      this._writeStarInstance(object, object.radius, STAR_HIGHLIGHT_COLOR);
+      this.highlightProxy.position.copy(object.position);
+      this.highlightProxy.scale.setScalar(object.radius * HIGHLIGHT_PROXY_SCALE);
+      this.highlightProxy.visible = true;
+      object.userData.isHighlighted = true;
+      this.highlighted = object;
+      return;
+    }
+
+    if (object.isConstellation) {
+      object.setHighlighted(true);
+      this.highlighted = object;
+      return;
+    }
+
     const { material } = object;
     if (material) {
       material.emissiveIntensity = 1.6;
       material.emissive.setHex(0xf0f6ff);
     }
-    object.scale.multiplyScalar(1.3);
     object.userData.isHighlighted = true;
     this.highlighted = object;
   }
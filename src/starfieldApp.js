@@ -0,0 +1,1384 @@
+import * as THREE from "three";
+import { Starfield } from "./starfield.js";
+import { GestureController } from "./gestureController.js";
+import { CONFIG } from "./config.js";
+import { generateSeed, normalizeSeed } from "./random.js";
+import { serializeRecording } from "./gestureRecording.js";
+import { InputManager } from "./inputManager.js";
+import { ManualInput } from "./manualInput.js";
+import { getGestureActions, isContinuousAction } from "./gestureActions.js";
+import { loadStarCatalog } from "./starCatalog.js";
+import { CameraRig } from "./cameraRig.js";
+import { InfoCard } from "./infoCard.js";
+import { CommandPalette } from "./commandPalette.js";
+import { SettingsStore } from "./settings.js";
+import { SettingsForm } from "./settingsForm.js";
+import { EventEmitter } from "./eventEmitter.js";
+import { mountAppDom } from "./appDom.js";
+import { PostProcessing } from "./postProcessing.js";
+import { PerformanceMonitor } from "./performanceMonitor.js";
+import { AdaptiveQuality } from "./adaptiveQuality.js";
+import { CanvasRecorder, captureImage } from "./capture.js";
+import { ConstellationSet } from "./constellations.js";
+import { enableOfflineCache } from "./offline.js";
+import { CameraManager } from "./cameraManager.js";
+import { PointerSelection } from "./pointerSelection.js";
+import { SelectionCursor } from "./selectionCursor.js";
+import { pickNearestBody } from "./screenPicker.js";
+import {
+  CalibrationWizard,
+  clearCalibrationProfile,
+  loadCalibrationProfile,
+  saveCalibrationProfile,
+} from "./calibration.js";
+
+// The seed comes from, in order: the page URL (when `useUrlSeed` is set), the
+// `seed` option, CONFIG, or a fresh random one.
+function resolveSeed({ seed, useUrlSeed = false }) {
+  const params = new URLSearchParams(window.location.search);
+  const resolved = (useUrlSeed ? normalizeSeed(params.get("seed")) : null)
+    ?? normalizeSeed(seed)
+    ?? normalizeSeed(CONFIG.starfield.seed)
+    ?? generateSeed();
+
+  if (useUrlSeed) {
+    // Keep the seed in the address bar so the current sky can be shared as-is.
+    params.set("seed", String(resolved));
+    const url = `${window.location.pathname}?${params.toString()}${window.location.hash}`;
+    window.history.replaceState(null, "", url);
+  }
+  return resolved;
+}
+
+function createShareLink(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", String(seed));
+  return url.toString();
+}
+
+// With magnetic snapping the hovered body is kept until another one is this
+// share of the pick tolerance closer to the pointer.
+const SNAP_STICKINESS = 0.5;
+
+// Accepts { section: { key: value } } and turns it into settings paths;
+// unknown paths are left for the store to reject.
+function toSettingPaths(values) {
+  const paths = {};
+  Object.entries(values).forEach(([section, fields]) => {
+    Object.entries(fields).forEach(([key, value]) => {
+      paths[`${section}.${key}`] = value;
+    });
+  });
+  return paths;
+}
+
+// Mounts the whole experience (scene, overlays, settings, gestures) into
+// `container` and returns an app handle. Options:
+//
+//   elements     elements to use instead of the built-in markup, keyed as in
+//                ELEMENT_ROLES (e.g. { video, handCanvas } to show the hand
+//                preview elsewhere on the page)
+//   seed         starfield seed; useUrlSeed reads and writes ?seed= instead
+//   config       starting settings, { section: { key: value } }
+//   gestures     start the camera and gesture detection right away (default true)
+//
+// The handle emits "selection" (body or null), "gesture" ({ source, gesture })
+// and "error" (Error).
+export function createStarfieldApp(container, options = {}) {
+  const { gestures: autoStartGestures = true } = options;
+
+  // Host values become the defaults, then saved settings are applied on top,
+  // all before anything below reads CONFIG.
+  const settings = new SettingsStore();
+  if (options.config) {
+    settings.setDefaults(toSettingPaths(options.config));
+  }
+  settings.load();
+
+  const dom = mountAppDom(container, options.elements);
+  const {
+    canvas,
+    video: videoEl,
+    handCanvas,
+    gestureStatus: gestureStatusEl,
+    gestureToggle: gestureToggleBtn,
+    selectionStatus: selectionStatusEl,
+    selectionHistory: selectionHistoryEl,
+    overviewToggle: overviewBtn,
+    searchToggle: searchBtn,
+    fullscreenToggle: fullscreenBtn,
+    captureImage: captureImageBtn,
+    recordVideo: recordVideoBtn,
+    constellationToggle: constellationToggleBtn,
+    constellationEditor: constellationEditorEl,
+    constellationName: constellationNameInput,
+    constellationStatus: constellationStatusEl,
+    constellationUndo: constellationUndoBtn,
+    constellationLiftPen: constellationLiftPenBtn,
+    constellationFinish: constellationFinishBtn,
+    settingsToggle: settingsBtn,
+    selectionCursor: selectionCursorEl,
+    performanceOverlay: performanceOverlayEl,
+    infoCard: infoCardEl,
+    commandPalette: commandPaletteEl,
+    settingsPanel,
+    rotationSpeed: rotationSpeedInput,
+    sensitivity: sensitivityInput,
+    starfieldMode: starfieldModeSelect,
+    renderQuality: renderQualitySelect,
+    timeScale: timeScaleInput,
+    timeScaleValue: timeScaleValueEl,
+    toggleSimulation: toggleSimulationBtn,
+    reverseTime: reverseTimeBtn,
+    showOrbits: showOrbitsInput,
+    twoHandMode: twoHandModeInput,
+    showPerformance: showPerformanceInput,
+    cameraDevice: cameraDeviceSelect,
+    cameraResolution: cameraResolutionSelect,
+    calibrationStatus: calibrationStatusEl,
+    startCalibration: startCalibrationBtn,
+    resetCalibration: resetCalibrationBtn,
+    seedValue: seedValueEl,
+    copySeedLink: copySeedLinkBtn,
+    settingsForm: settingsFormEl,
+    settingsStatus: settingsStatusEl,
+    exportSettings: exportSettingsBtn,
+    importSettings: importSettingsInput,
+    resetSettings: resetSettingsBtn,
+    constellationCount: constellationCountEl,
+    exportConstellations: exportConstellationsBtn,
+    importConstellations: importConstellationsInput,
+    clearConstellations: clearConstellationsBtn,
+    recordGesture: recordGestureBtn,
+    replayGesture: replayGestureInput,
+    closeSettings: closeSettingsBtn,
+    calibrationOverlay,
+    calibrationStep: calibrationStepEl,
+    calibrationInstruction: calibrationInstructionEl,
+    calibrationProgressBar,
+    cancelCalibration: cancelCalibrationBtn,
+    calibrationTarget,
+  } = dom.elements;
+  const app = new EventEmitter();
+
+  // Every DOM listener is registered against this signal so destroy() can
+  // remove them all at once.
+  const lifecycle = new AbortController();
+
+  function listen(target, type, handler, options = {}) {
+    target.addEventListener(type, handler, { ...options, signal: lifecycle.signal });
+  }
+
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    antialias: true,
+    alpha: true,
+  });
+  renderer.shadowMap.enabled = false;
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, CONFIG.performance.maxPixelRatio));
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(CONFIG.scene.backgroundColor);
+  scene.fog = new THREE.Fog(CONFIG.scene.fogColor, CONFIG.scene.fogNear, CONFIG.scene.fogFar);
+
+  const camera = new THREE.PerspectiveCamera(CONFIG.camera.fov, 1, CONFIG.camera.near, CONFIG.camera.far);
+  scene.add(camera);
+
+  const starfield = new Starfield(scene, { seed: resolveSeed(options) });
+  const constellations = new ConstellationSet(starfield);
+  const postProcessing = new PostProcessing(renderer, scene, camera);
+  const performanceMonitor = new PerformanceMonitor(performanceOverlayEl, renderer);
+  const adaptiveQuality = new AdaptiveQuality();
+  const videoRecorder = new CanvasRecorder(canvas);
+  const cameraManager = new CameraManager(videoEl);
+  const pointerSelection = new PointerSelection();
+  const selectionCursor = new SelectionCursor(selectionCursorEl);
+  const clock = new THREE.Clock();
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const inputManager = new InputManager();
+  const manualInput = new ManualInput(canvas);
+  const cameraRig = new CameraRig(camera);
+  const infoCard = new InfoCard(infoCardEl, selectionHistoryEl);
+  const commandPalette = new CommandPalette(commandPaletteEl, () => [...starfield.getBodies(), ...constellations.list]);
+  const lastGestureBySource = new Map();
+
+  let activeSelection = null;
+  let clearHighlightTimer = null;
+  let gestureController;
+  let calibrationWizard;
+  let catalogPromise = null;
+  let settingsForm;
+  let animationFrameId = null;
+  let recordingTimer = null;
+  let resizeObserver = null;
+  let destroyed = false;
+
+  function updateRendererSize() {
+    const { clientWidth, clientHeight } = canvas;
+    renderer.setSize(clientWidth, clientHeight, false);
+    postProcessing.setSize(clientWidth, clientHeight);
+    camera.aspect = clientWidth / clientHeight;
+    camera.updateProjectionMatrix();
+  }
+
+  if (typeof ResizeObserver !== "undefined") {
+    resizeObserver = new ResizeObserver(updateRendererSize);
+    resizeObserver.observe(canvas.parentElement);
+  }
+  listen(window, "resize", updateRendererSize);
+  updateRendererSize();
+
+  // Zoom is expressed as a 0–1 ratio so the camera rig can apply it to whichever
+  // radius range is active (galaxy overview or a focused body).
+  function mapOpennessToZoom(openness) {
+    const { minOpenness, maxOpenness } = CONFIG.gesture;
+    const clamped = Math.min(Math.max(openness, minOpenness), maxOpenness);
+    return (clamped - minOpenness) / (maxOpenness - minOpenness);
+  }
+
+  // Spreading the hands apart pulls the camera in, like a pinch-to-zoom.
+  function mapHandDistanceToZoom(distance) {
+    const { minHandDistance, maxHandDistance } = CONFIG.gesture;
+    const clamped = Math.min(Math.max(distance, minHandDistance), maxHandDistance);
+    return 1 - (clamped - minHandDistance) / (maxHandDistance - minHandDistance);
+  }
+
+  function focusBody(body) {
+    cameraRig.focus(body, starfield.getBodyRadius(body));
+    overviewBtn.classList.remove("hidden");
+  }
+
+  function returnToOverview() {
+    cameraRig.clearFocus();
+    overviewBtn.classList.add("hidden");
+  }
+
+  function translateGestureLabel(gesture) {
+    switch (gesture) {
+      case "two-hand":
+        return "手势：双手（缩放与旋转）";
+      case "none":
+        return "手势：未检测到手部";
+      default: {
+        const definition = gestureController?.registry.get(gesture);
+        return definition ? `手势：${definition.label}` : "手势：未检测到手部";
+      }
+    }
+  }
+
+  function resetView() {
+    cameraRig.reset();
+    overviewBtn.classList.add("hidden");
+    manualInput.resetZoom();
+  }
+
+  function toggleSettingsPanel() {
+    settingsPanel.classList.toggle("hidden");
+  }
+
+  function captureStamp() {
+    return new Date().toISOString().replace(/[:.]/g, "-");
+  }
+
+  // Options as for captureImage() in capture.js (scale, maxSize), plus
+  // includeInfoCard.
+  function renderCapture({ includeInfoCard = CONFIG.capture.includeInfoCard, ...options } = {}) {
+    const card = includeInfoCard ? infoCard.snapshot(canvas) : null;
+    return captureImage(postProcessing, { ...options, card });
+  }
+
+  async function takeScreenshot() {
+    try {
+      downloadFile(`starfield-${captureStamp()}.png`, await renderCapture(), "image/png");
+    } catch (error) {
+      gestureStatusEl.textContent = `截图失败：${error.message}`;
+      app._emit("error", error);
+    }
+  }
+
+  function startVideoRecording() {
+    const inset = CONFIG.capture.handInset && gestureController?.running ? handCanvas : null;
+    videoRecorder.start({ inset });
+  }
+
+  function toggleVideoRecording() {
+    if (videoRecorder.isRecording) {
+      videoRecorder.stop();
+      return;
+    }
+    try {
+      startVideoRecording();
+    } catch (error) {
+      gestureStatusEl.textContent = `录制失败：${error.message}`;
+      app._emit("error", error);
+    }
+  }
+
+  function scheduleHighlightClear(delay = CONFIG.ui.highlightClearDelay) {
+    if (clearHighlightTimer) {
+      clearTimeout(clearHighlightTimer);
+    }
+    clearHighlightTimer = setTimeout(() => {
+      clearHighlightTimer = null;
+      releaseSelection();
+    }, delay);
+  }
+
+  function releaseSelection() {
+    const hadSelection = activeSelection !== null;
+    starfield.clearHighlight();
+    infoCard.hide();
+    activeSelection = null;
+    selectionStatusEl.textContent = "尚未选中星体";
+    if (hadSelection) {
+      app._emit("selection", null);
+    }
+  }
+
+  function selectBody(body) {
+    const changed = activeSelection !== body;
+    activeSelection = body;
+    starfield.highlight(body);
+    infoCard.show(body, starfield.getBodyColor(body));
+    selectionStatusEl.textContent = `已选中：${body.userData.label}（${body.userData.kindLabel}）`;
+    if (changed) {
+      app._emit("selection", body);
+    }
+  }
+
+  // What lies under `pointerCoords` (camera image coordinates, mirrored):
+  // the body nearest the pointer within CONFIG.selection.pickTolerance
+  // pixels, else a constellation line. Returns { target, point, anchor } with
+  // the pointer and the picked body's centre in canvas pixels; anchor is null
+  // for lines and misses.
+  function pickAt(pointerCoords) {
+    const { clientWidth: width, clientHeight: height } = canvas;
+    const { pickTolerance, magneticSnap, snapStrength } = CONFIG.selection;
+    const point = { x: (1 - pointerCoords.x) * width, y: pointerCoords.y * height };
+
+    const picked = pickNearestBody(starfield.getBodies(), point, {
+      camera,
+      width,
+      height,
+      tolerance: pickTolerance,
+      getRadius: (body) => starfield.getBodyRadius(body),
+      getPosition: starfield.createBodyPositionReader(),
+      sticky: pointerSelection.hover,
+      stickiness: magneticSnap ? pickTolerance * snapStrength * SNAP_STICKINESS : 0,
+    });
+    if (picked) {
+      return { target: picked.body, point, anchor: { x: picked.x, y: picked.y } };
+    }
+    // While drawing only stars can be added, so lines are not picked.
+    if (constellations.drawing) {
+      return { target: null, point, anchor: null };
+    }
+
+    pointer.set((1 - pointerCoords.x) * 2 - 1, -(pointerCoords.y * 2 - 1));
+    raycaster.setFromCamera(pointer, camera);
+    raycaster.params.Line.threshold = CONFIG.constellations.pickThreshold;
+    const [hit] = raycaster.intersectObjects(constellations.getPickableObjects(), false);
+    return { target: constellations.resolveIntersection(hit), point, anchor: null };
+  }
+
+  // Selects the body and flies to it, or adds it to the constellation being
+  // drawn.
+  function confirmSelection(body) {
+    selectBody(body);
+    if (constellations.drawing) {
+      addConstellationStar(body);
+    } else {
+      focusBody(body);
+    }
+    scheduleHighlightClear(CONFIG.ui.highlightClearDelay);
+  }
+
+  // A click or tap is deliberate, so it selects straight away.
+  function updateSelection(pointerCoords) {
+    const { target: body } = pickAt(pointerCoords);
+    if (body) {
+      confirmSelection(body);
+    } else {
+      scheduleHighlightClear(CONFIG.ui.highlightEmptyClearDelay);
+    }
+  }
+
+  // A pointing finger only hovers; PointerSelection decides when a dwell or
+  // an air tap confirms the hovered body. With magnetic snapping the cursor
+  // ring is pulled towards the hovered body while a dot marks the fingertip.
+  function updatePointing(pointerCoords, { pointerDepth = null, thumbIndexDistance = null }) {
+    const { target, point, anchor } = pickAt(pointerCoords);
+    const { magneticSnap, snapStrength } = CONFIG.selection;
+    const ring = magneticSnap && anchor
+      ? { x: point.x + (anchor.x - point.x) * snapStrength, y: point.y + (anchor.y - point.y) * snapStrength }
+      : point;
+    const { clientWidth: width, clientHeight: height } = canvas;
+    selectionCursor.move(
+      { x: ring.x / width, y: ring.y / height },
+      { x: 1 - pointerCoords.x, y: pointerCoords.y },
+    );
+    pointerSelection.update({
+      target,
+      depth: pointerDepth,
+      pinchDistance: thumbIndexDistance,
+    });
+    // The confirmed selection stays while the finger keeps pointing.
+    if (activeSelection) {
+      scheduleHighlightClear(CONFIG.ui.highlightClearDelay);
+    }
+  }
+
+  function endPointing() {
+    pointerSelection.reset();
+    selectionCursor.hide();
+  }
+
+  function setupPointerSelection() {
+    pointerSelection.on("hover", (target) => {
+      selectionCursor.setHover(target ? target.userData.label : null);
+    });
+    pointerSelection.on("progress", (progress) => selectionCursor.setProgress(progress));
+    pointerSelection.on("confirm", ({ target }) => {
+      selectionCursor.confirm();
+      confirmSelection(target);
+    });
+  }
+
+  function clearSelection() {
+    if (clearHighlightTimer) {
+      clearTimeout(clearHighlightTimer);
+      clearHighlightTimer = null;
+    }
+    releaseSelection();
+  }
+
+  // Selects a body chosen outside the 3D view (history, search) and flies to it.
+  function jumpToBody(body) {
+    selectBody(body);
+    focusBody(body);
+    scheduleHighlightClear(CONFIG.ui.highlightClearDelay);
+  }
+
+  async function applyStarfieldMode(mode) {
+    clearSelection();
+    // Star instances are rebuilt on every mode switch, so old entries would be stale.
+    infoCard.clearHistory();
+    returnToOverview();
+    if (mode !== "catalog") {
+      starfield.setCatalog(null);
+      constellations.load();
+      return;
+    }
+
+    try {
+      catalogPromise ??= loadStarCatalog(CONFIG.starfield.catalogUrl);
+      starfield.setCatalog(await catalogPromise);
+      constellations.load();
+    } catch (error) {
+      // Fall back to the random generator so the sky is never empty.
+      console.error("Failed to load star catalog", error);
+      app._emit("error", error);
+      catalogPromise = null;
+      settings.set("starfield.mode", "random");
+      selectionStatusEl.textContent = `星表加载失败，已使用随机星空：${error.message}`;
+    }
+  }
+
+  function renderLoop() {
+    const delta = clock.getDelta();
+    starfield.update(delta);
+    cameraRig.update(delta);
+    postProcessing.setSelection(starfield.getHighlightObject());
+    postProcessing.render(delta);
+    videoRecorder.drawFrame();
+    performanceMonitor.recordFrame(delta * 1000);
+    if (CONFIG.performance.adaptiveQuality) {
+      const { frameTime, refreshInterval } = performanceMonitor.stats;
+      adaptiveQuality.update(frameTime, { refreshInterval });
+    }
+    infoCard.update(camera);
+    animationFrameId = requestAnimationFrame(renderLoop);
+  }
+
+  function applyQualityLevel({ label, pixelRatioScale, backgroundDetail, postProcessing: qualityLimit }) {
+    const pixelRatio = Math.min(window.devicePixelRatio, CONFIG.performance.maxPixelRatio) * pixelRatioScale;
+    postProcessing.setPixelRatio(pixelRatio);
+    postProcessing.setQualityLimit(qualityLimit);
+    starfield.setBackgroundDetail(backgroundDetail);
+    performanceMonitor.setQualityLabel(label);
+  }
+
+  function setupPerformance() {
+    adaptiveQuality.on("change", ({ settings: level }) => applyQualityLevel(level));
+    applyQualityLevel(adaptiveQuality.settings);
+    performanceMonitor.setVisible(CONFIG.performance.showOverlay);
+  }
+
+  function renderCameraDevices(devices) {
+    const options = devices.map(({ deviceId, label }) => new Option(label, deviceId));
+    cameraDeviceSelect.replaceChildren(new Option("默认（前置摄像头）", ""), ...options);
+    // A remembered camera that is unplugged stays listed so the choice shows.
+    const { deviceId } = cameraManager;
+    if (deviceId && !devices.some((device) => device.deviceId === deviceId)) {
+      cameraDeviceSelect.append(new Option("所选摄像头（未连接）", deviceId));
+    }
+    cameraDeviceSelect.value = deviceId ?? "";
+  }
+
+  function setupCamera() {
+    cameraManager.on("devices", renderCameraDevices);
+    // A camera plugged in after startGestures() failed to find one.
+    cameraManager.on("start", () => {
+      if (!gestureController.running && !gestureStart) {
+        startGestures().catch((error) => {
+          console.error("Failed to initialize gestures", error);
+        });
+      }
+    });
+    cameraManager.on("status", ({ message }) => {
+      gestureStatusEl.textContent = message;
+    });
+    cameraManager.on("error", (error) => {
+      gestureStatusEl.textContent = error.message;
+      app._emit("error", error);
+    });
+    listen(gestureToggleBtn, "click", () => {
+      if (cameraManager.wanted) {
+        stopGestures();
+        return;
+      }
+      startGestures().catch((error) => {
+        console.error("Failed to initialize gestures", error);
+      });
+    });
+    listen(cameraDeviceSelect, "change", (e) => {
+      cameraManager.selectDevice(e.target.value);
+    });
+    listen(cameraResolutionSelect, "change", (e) => {
+      changeSetting("webcam.resolution", e.target.value);
+    });
+    cameraManager.refreshDevices().catch((error) => {
+      console.warn("Failed to list cameras", error);
+    });
+  }
+
+  function createGestureController() {
+    gestureController = new GestureController(videoEl, handCanvas);
+    gestureController.on("status", ({ message }) => {
+      gestureStatusEl.textContent = message;
+    });
+    gestureController.on("error", (error) => {
+      gestureStatusEl.textContent = `手势识别出错：${error.message}`;
+      app._emit("error", error);
+    });
+    gestureController.on("update", ({ latency }) => {
+      performanceMonitor.recordDetection(latency);
+    });
+    inputManager.addSource("camera", gestureController);
+  }
+
+  function handleInput(data) {
+    const { source, present, openness, movement, pointer: pointerCoords, twoHand } = data;
+    // Camera input carries the debounced gesture; act on that rather than the
+    // raw per-frame label. Manual input is exact and has no debouncing.
+    const gesture = data.stableGesture ?? data.gesture;
+
+    // The cursor only follows a finger whose gesture selects.
+    const pointing = source === "camera" && present && !calibrationWizard?.active
+      && getGestureActions(gesture).includes("select");
+    if (!pointing) {
+      endPointing();
+    }
+
+    // The calibration wizard owns the camera input while it runs.
+    if (source === "camera" && calibrationWizard?.active) return;
+
+    if (!present) {
+      if (lastGestureBySource.has(source)) {
+        app._emit("gesture", { source, gesture: "none" });
+      }
+      lastGestureBySource.delete(source);
+      gestureStatusEl.textContent = translateGestureLabel("none");
+      scheduleHighlightClear(CONFIG.ui.noGestureClearDelay);
+      return;
+    }
+
+    const entered = lastGestureBySource.get(source) !== gesture;
+    lastGestureBySource.set(source, gesture);
+    if (entered) {
+      app._emit("gesture", { source, gesture });
+    }
+
+    if (source === "camera") {
+      gestureStatusEl.textContent = translateGestureLabel(gesture);
+    }
+
+    if (twoHand) {
+      cameraRig.setZoom(mapHandDistanceToZoom(twoHand.distance), CONFIG.camera.targetRadiusLerpFactor);
+      cameraRig.orbit(twoHand.angleDelta * CONFIG.gesture.twoHandRotateSensitivity);
+      return;
+    }
+
+    // Manual input names its own actions; the mapping is for hand gestures.
+    const actions = data.actions ?? getGestureActions(gesture);
+    actions.forEach((action) => {
+      if (!entered && !isContinuousAction(action)) return;
+      runAction(action, { ...data, source, pointerCoords });
+    });
+  }
+
+  function runAction(action, { source, openness, movement, pointerCoords, ...data }) {
+    switch (action) {
+      case "zoom": {
+        // Hand openness is noisy and arrives every frame, so it is eased in; manual
+        // zoom steps are exact and sporadic, so they apply directly.
+        const radiusLerpFactor = source === "camera" ? CONFIG.camera.targetRadiusLerpFactor : 1;
+        cameraRig.setZoom(mapOpennessToZoom(openness), radiusLerpFactor);
+        break;
+      }
+      case "rotate":
+        if (movement) {
+          cameraRig.rotate(movement);
+        }
+        break;
+      case "select":
+        if (!pointerCoords) break;
+        if (source === "camera") {
+          updatePointing(pointerCoords, data);
+        } else {
+          updateSelection(pointerCoords);
+        }
+        break;
+      case "reset-view":
+        resetView();
+        break;
+      case "toggle-settings":
+        toggleSettingsPanel();
+        break;
+      case "screenshot":
+        takeScreenshot();
+        break;
+      case "toggle-recording":
+        toggleVideoRecording();
+        break;
+      case "open-search":
+        commandPalette.toggle();
+        break;
+      default:
+        break;
+    }
+  }
+
+  function updateCalibrationStatus() {
+    const profile = gestureController.calibration;
+    calibrationStatusEl.textContent = profile
+      ? `已校准（${new Date(profile.createdAt).toLocaleString()}）`
+      : "未校准";
+  }
+
+  function closeCalibrationOverlay() {
+    calibrationOverlay.classList.add("hidden");
+    calibrationTarget.classList.add("hidden");
+  }
+
+  function setupCalibration() {
+    gestureController.setCalibration(loadCalibrationProfile());
+    updateCalibrationStatus();
+
+    calibrationWizard = new CalibrationWizard(gestureController);
+    calibrationWizard.on("step", ({ instruction, target, index, total }) => {
+      calibrationStepEl.textContent = `${index + 1}/${total}`;
+      calibrationInstructionEl.textContent = instruction;
+      calibrationProgressBar.style.width = "0%";
+      calibrationTarget.classList.toggle("hidden", !target);
+      if (target) {
+        calibrationTarget.style.left = `${4 + target.x * 92}%`;
+        calibrationTarget.style.top = `${4 + target.y * 92}%`;
+      }
+    });
+    calibrationWizard.on("progress", ({ progress }) => {
+      calibrationProgressBar.style.width = `${Math.round(progress * 100)}%`;
+    });
+    calibrationWizard.on("complete", (profile) => {
+      const saved = saveCalibrationProfile(profile);
+      gestureController.setCalibration(profile);
+      updateCalibrationStatus();
+      closeCalibrationOverlay();
+      gestureStatusEl.textContent = saved ? "手势校准完成" : "手势校准完成，但无法保存，刷新页面后需重新校准";
+    });
+    calibrationWizard.on("cancel", closeCalibrationOverlay);
+    calibrationWizard.on("error", (error) => {
+      closeCalibrationOverlay();
+      gestureStatusEl.textContent = `手势校准失败：${error.message}`;
+    });
+
+    listen(startCalibrationBtn, "click", () => {
+      if (!gestureController.running) {
+        gestureStatusEl.textContent = "手势校准需要摄像头与手势识别处于运行状态";
+        return;
+      }
+      settingsPanel.classList.add("hidden");
+      calibrationOverlay.classList.remove("hidden");
+      calibrationWizard.start();
+    });
+
+    listen(cancelCalibrationBtn, "click", () => {
+      calibrationWizard.cancel();
+    });
+
+    listen(resetCalibrationBtn, "click", () => {
+      calibrationWizard.cancel();
+      clearCalibrationProfile();
+      gestureController.setCalibration(null);
+      updateCalibrationStatus();
+    });
+  }
+
+  let gestureStart = null;
+
+  // Shows whether the camera is on or being waited for; after a refused or
+  // busy camera this is how the user tries again.
+  function updateGestureToggle() {
+    gestureToggleBtn.textContent = cameraManager.wanted ? "关闭手势识别" : "开启手势识别";
+  }
+
+  // Opens the camera if needed, loads the model once and starts detection.
+  // Concurrent calls share one attempt.
+  function startGestures() {
+    if (destroyed) return Promise.resolve();
+    gestureStart ??= (async () => {
+      if (!cameraManager.active) {
+        try {
+          await cameraManager.start();
+        } catch (error) {
+          gestureStatusEl.textContent = error.message;
+          app._emit("error", error);
+          throw error;
+        }
+      }
+      // stopGestures() or destroy() ran while the camera was opening.
+      if (destroyed || !cameraManager.active) return;
+      if (!gestureController.ready) {
+        await gestureController.initialize();
+      }
+      if (destroyed || !cameraManager.active) return;
+      gestureController.start();
+    })().finally(() => {
+      gestureStart = null;
+      updateGestureToggle();
+    });
+    updateGestureToggle();
+    return gestureStart;
+  }
+
+  // Pauses detection and turns the camera off; the model stays loaded so a
+  // later startGestures() only has to reopen the camera.
+  function stopGestures() {
+    gestureController.stop();
+    cameraManager.stop();
+    lastGestureBySource.delete("camera");
+    gestureStatusEl.textContent = "手势识别已停止";
+    updateGestureToggle();
+  }
+
+  function setupFocusControls() {
+    listen(overviewBtn, "click", returnToOverview);
+    listen(window, "keydown", (event) => {
+      if (event.key === "Escape" && cameraRig.isFocused) {
+        returnToOverview();
+      }
+    });
+  }
+
+  function setupInfoCard() {
+    infoCard.on("select", jumpToBody);
+    infoCard.on("close", clearSelection);
+  }
+
+  function setupCommandPalette() {
+    commandPalette.on("select", jumpToBody);
+    listen(searchBtn, "click", () => commandPalette.open());
+    listen(window, "keydown", (event) => {
+      const shortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k";
+      const slash = event.key === "/" && !["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName);
+      if (!shortcut && !slash) return;
+      event.preventDefault();
+      commandPalette.toggle();
+    });
+  }
+
+  function setupFullscreenToggle() {
+    function updateButtonLabel() {
+      fullscreenBtn.textContent = document.fullscreenElement ? "退出全屏" : "进入全屏";
+    }
+
+    listen(fullscreenBtn, "click", () => {
+      if (!document.fullscreenElement) {
+        container.requestFullscreen?.();
+      } else {
+        document.exitFullscreen?.();
+      }
+    });
+
+    listen(document, "fullscreenchange", updateButtonLabel);
+    updateButtonLabel();
+  }
+
+  function regenerateStarfield() {
+    clearSelection();
+    infoCard.clearHistory();
+    returnToOverview();
+    starfield.regenerate();
+    // Star positions may have moved (e.g. a new radius), so lines are rebuilt.
+    constellations.load();
+  }
+
+  function applySceneSettings() {
+    scene.background.setHex(CONFIG.scene.backgroundColor);
+    scene.fog.color.setHex(CONFIG.scene.fogColor);
+    scene.fog.near = CONFIG.scene.fogNear;
+    scene.fog.far = CONFIG.scene.fogFar;
+  }
+
+  function applyGestureSetting(key, value) {
+    if (!gestureController) return;
+    switch (key) {
+      case "twoHandMode":
+        gestureController.setTwoHandMode(value).catch((error) => {
+          console.error("Failed to switch hand mode", error);
+        });
+        break;
+      case "smoothingFactor":
+      case "useWorker":
+        gestureController.options[key] = value;
+        break;
+      case "minHoldTime":
+      case "releaseTime":
+      case "holdEventInterval":
+        gestureController.stateMachine.options[key] = value;
+        break;
+      default:
+        // The remaining gesture values are read from CONFIG on every frame.
+        break;
+    }
+  }
+
+  function applyPerformanceSetting(key, value) {
+    adaptiveQuality.options[key] = value;
+    switch (key) {
+      case "showOverlay":
+        performanceMonitor.setVisible(value);
+        break;
+      case "adaptiveQuality":
+        if (!value) {
+          adaptiveQuality.reset();
+        }
+        break;
+      case "maxPixelRatio":
+        applyQualityLevel(adaptiveQuality.settings);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function applyStarfieldSetting(key, value) {
+    switch (key) {
+      case "showOrbits":
+        starfield.setOrbitsVisible(value);
+        break;
+      case "timeScale":
+        starfield.setTimeScale(value);
+        break;
+      case "mode":
+        applyStarfieldMode(value);
+        break;
+      case "catalogUrl":
+        catalogPromise = null;
+        if (CONFIG.starfield.mode === "catalog") {
+          applyStarfieldMode("catalog");
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Most code reads CONFIG when it needs a value; this pushes changes into the
+  // objects that copied theirs at construction, and regenerates the starfield
+  // when a value it only reads while building bodies has changed.
+  function applySettingChanges(changes) {
+    let needsRebuild = false;
+    changes.forEach(({ section, key, value, field }) => {
+      switch (section) {
+        case "camera":
+          if (["fov", "near", "far"].includes(key)) {
+            camera[key] = value;
+            camera.updateProjectionMatrix();
+          }
+          break;
+        case "scene":
+          applySceneSettings();
+          break;
+        case "postProcessing":
+          postProcessing.setOptions({ [key]: value });
+          break;
+        case "performance":
+          applyPerformanceSetting(key, value);
+          break;
+        case "input":
+          manualInput.options[key] = value;
+          break;
+        case "webcam":
+          if (key === "resolution") {
+            cameraManager.setResolution(value);
+          } else {
+            cameraManager.options[key] = value;
+          }
+          break;
+        case "constellations":
+          constellations.applyStyle();
+          break;
+        case "calibration":
+          if (calibrationWizard) {
+            calibrationWizard.options[key] = value;
+          }
+          break;
+        case "gesture":
+          applyGestureSetting(key, value);
+          break;
+        case "starfield":
+          starfield.options[key] = value;
+          needsRebuild ||= Boolean(field.rebuild);
+          applyStarfieldSetting(key, value);
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (needsRebuild) {
+      regenerateStarfield();
+    }
+    syncSettingsControls();
+  }
+
+  function changeSetting(path, value) {
+    try {
+      settings.set(path, value);
+      settingsStatusEl.textContent = "";
+    } catch (error) {
+      settingsStatusEl.textContent = error.message;
+      syncSettingsControls();
+    }
+  }
+
+  function renderTimeScale() {
+    timeScaleValueEl.textContent = `×${starfield.timeScale}`;
+    toggleSimulationBtn.textContent = starfield.paused ? "继续" : "暂停";
+  }
+
+  function syncSettingsControls() {
+    rotationSpeedInput.value = CONFIG.starfield.rotationSpeed;
+    sensitivityInput.value = CONFIG.camera.rotateSensitivity;
+    starfieldModeSelect.value = CONFIG.starfield.mode;
+    renderQualitySelect.value = CONFIG.postProcessing.quality;
+    cameraResolutionSelect.value = CONFIG.webcam.resolution;
+    twoHandModeInput.checked = CONFIG.gesture.twoHandMode;
+    showPerformanceInput.checked = CONFIG.performance.showOverlay;
+    showOrbitsInput.checked = CONFIG.starfield.showOrbits;
+    timeScaleInput.min = CONFIG.starfield.minTimeScale;
+    timeScaleInput.max = CONFIG.starfield.maxTimeScale;
+    timeScaleInput.value = CONFIG.starfield.timeScale;
+    renderTimeScale();
+  }
+
+  function setupSettingsManagement() {
+    settingsForm = new SettingsForm(settingsFormEl, settings);
+    settingsForm.on("error", (error) => {
+      settingsStatusEl.textContent = error.message;
+    });
+
+    listen(exportSettingsBtn, "click", () => {
+      downloadFile("starfield-settings.json", settings.export(), "application/json");
+    });
+
+    listen(importSettingsInput, "change", async () => {
+      const [file] = importSettingsInput.files;
+      importSettingsInput.value = "";
+      if (!file) return;
+
+      try {
+        const changes = settings.import(await file.text());
+        settingsStatusEl.textContent = `已导入 ${changes.length} 项设置`;
+      } catch (error) {
+        console.error("Failed to import settings", error);
+        settingsStatusEl.textContent = `导入失败：${error.message}`;
+      }
+    });
+
+    listen(resetSettingsBtn, "click", () => {
+      settings.reset();
+      settingsStatusEl.textContent = "已恢复默认设置";
+    });
+  }
+
+  function setupSettings() {
+    listen(settingsBtn, "click", () => {
+      settingsPanel.classList.remove("hidden");
+    });
+
+    listen(closeSettingsBtn, "click", () => {
+      settingsPanel.classList.add("hidden");
+    });
+
+    settings.on("change", applySettingChanges);
+    syncSettingsControls();
+
+    listen(rotationSpeedInput, "input", (e) => {
+      changeSetting("starfield.rotationSpeed", parseFloat(e.target.value));
+    });
+
+    listen(sensitivityInput, "input", (e) => {
+      changeSetting("camera.rotateSensitivity", parseFloat(e.target.value));
+    });
+
+    listen(starfieldModeSelect, "change", (e) => {
+      changeSetting("starfield.mode", e.target.value);
+    });
+
+    listen(renderQualitySelect, "change", (e) => {
+      changeSetting("postProcessing.quality", e.target.value);
+    });
+
+    listen(timeScaleInput, "input", (e) => {
+      changeSetting("starfield.timeScale", parseFloat(e.target.value));
+    });
+    listen(toggleSimulationBtn, "click", () => {
+      starfield.setPaused(!starfield.paused);
+      renderTimeScale();
+    });
+    listen(reverseTimeBtn, "click", () => {
+      changeSetting("starfield.timeScale", -CONFIG.starfield.timeScale);
+    });
+
+    listen(showOrbitsInput, "change", (e) => {
+      changeSetting("starfield.showOrbits", e.target.checked);
+    });
+
+    listen(twoHandModeInput, "change", (e) => {
+      changeSetting("gesture.twoHandMode", e.target.checked);
+    });
+
+    listen(showPerformanceInput, "change", (e) => {
+      changeSetting("performance.showOverlay", e.target.checked);
+    });
+
+    setupSettingsManagement();
+
+    seedValueEl.textContent = String(starfield.seed);
+    listen(copySeedLinkBtn, "click", async () => {
+      try {
+        await navigator.clipboard.writeText(createShareLink(starfield.seed));
+        copySeedLinkBtn.textContent = "链接已复制";
+      } catch (error) {
+        console.error("Failed to copy share link", error);
+        copySeedLinkBtn.textContent = "复制失败";
+      }
+      setTimeout(() => {
+        copySeedLinkBtn.textContent = "复制分享链接";
+      }, 1600);
+    });
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function setupGestureRecording() {
+    listen(recordGestureBtn, "click", () => {
+      if (!gestureController.isRecording) {
+        gestureController.startRecording();
+        recordGestureBtn.textContent = "停止录制";
+        return;
+      }
+
+      const recording = gestureController.stopRecording();
+      recordGestureBtn.textContent = "录制手势";
+      const stamp = recording.createdAt.replace(/[:.]/g, "-");
+      downloadFile(`gesture-recording-${stamp}.json`, serializeRecording(recording), "application/json");
+    });
+
+    listen(replayGestureInput, "change", async () => {
+      const [file] = replayGestureInput.files;
+      replayGestureInput.value = "";
+      if (!file) return;
+
+      try {
+        await gestureController.replay(await file.text());
+      } catch (error) {
+        gestureStatusEl.textContent = `手势回放失败：${error.message}`;
+      }
+    });
+  }
+
+  function addConstellationStar(body) {
+    if (!body.isStarInstance) {
+      constellationStatusEl.textContent = "星座只能连接恒星";
+      return;
+    }
+    constellations.addStar(body);
+  }
+
+  function renderConstellationDraft({ stars, links, drawing }) {
+    constellationEditorEl.classList.toggle("hidden", !drawing);
+    constellationToggleBtn.textContent = drawing ? "取消绘制" : "绘制星座";
+    constellationStatusEl.textContent = stars.length
+      ? `已连接 ${stars.length} 颗恒星、${links.length} 条连线`
+      : "点击恒星，或用食指指向恒星并停留，依次连接";
+  }
+
+  function setupConstellations() {
+    listen(constellationToggleBtn, "click", () => {
+      if (constellations.drawing) {
+        constellations.cancelDraft();
+        return;
+      }
+      clearSelection();
+      constellationNameInput.value = "";
+      constellations.startDraft();
+    });
+    listen(constellationUndoBtn, "click", () => constellations.undo());
+    listen(constellationLiftPenBtn, "click", () => constellations.liftPen());
+    listen(constellationFinishBtn, "click", () => {
+      try {
+        const constellation = constellations.finishDraft(constellationNameInput.value);
+        selectBody(constellation);
+      } catch (error) {
+        constellationStatusEl.textContent = error.message;
+      }
+    });
+    constellations.on("draft", renderConstellationDraft);
+    constellations.on("change", (list) => {
+      constellationCountEl.textContent = list.length ? `已保存 ${list.length} 个星座` : "暂无星座";
+      if (activeSelection?.isConstellation && !list.includes(activeSelection)) {
+        clearSelection();
+      }
+      app._emit("constellations", list);
+    });
+    infoCard.on("remove", (constellation) => constellations.remove(constellation));
+
+    listen(exportConstellationsBtn, "click", () => {
+      downloadFile(`starfield-constellations-${starfield.seed}.json`, constellations.export(), "application/json");
+    });
+    listen(importConstellationsInput, "change", async () => {
+      const [file] = importConstellationsInput.files;
+      importConstellationsInput.value = "";
+      if (!file) return;
+
+      try {
+        const count = constellations.import(await file.text());
+        constellationCountEl.textContent = `已导入 ${count} 个星座，共 ${constellations.list.length} 个`;
+      } catch (error) {
+        console.error("Failed to import constellations", error);
+        constellationCountEl.textContent = `导入失败：${error.message}`;
+      }
+    });
+    listen(clearConstellationsBtn, "click", () => constellations.clear());
+
+    constellations.load();
+  }
+
+  function setupCapture() {
+    function renderRecordButton() {
+      const seconds = Math.floor(videoRecorder.elapsed / 1000);
+      const elapsed = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+      recordVideoBtn.textContent = videoRecorder.isRecording ? `停止录制 ${elapsed}` : "录制视频";
+    }
+
+    listen(captureImageBtn, "click", takeScreenshot);
+    listen(recordVideoBtn, "click", toggleVideoRecording);
+    videoRecorder.on("start", () => {
+      renderRecordButton();
+      recordingTimer = setInterval(renderRecordButton, 500);
+      app._emit("recording", { recording: true });
+    });
+    videoRecorder.on("stop", ({ blob, duration }) => {
+      clearInterval(recordingTimer);
+      renderRecordButton();
+      downloadFile(`starfield-${captureStamp()}.webm`, blob, "video/webm");
+      app._emit("recording", { recording: false, blob, duration });
+    });
+    videoRecorder.on("error", (error) => {
+      gestureStatusEl.textContent = `录制失败：${error.message}`;
+      app._emit("error", error);
+    });
+  }
+
+  // Files the service worker cannot fetch would be missing offline, so they
+  // are reported like any other missing asset.
+  function setupOfflineCache() {
+    if (!CONFIG.assets.serviceWorker) return;
+    enableOfflineCache(CONFIG.assets.serviceWorkerUrl)
+      .then((failed) => {
+        if (destroyed || failed.length === 0) return;
+        app._emit("error", new Error(`以下资源无法下载，离线时将不可用：${failed.join("、")}`));
+      })
+      .catch((error) => {
+        console.warn("Offline cache unavailable", error);
+      });
+  }
+
+  function bootstrap() {
+    if (CONFIG.starfield.mode === "catalog") {
+      applyStarfieldMode("catalog");
+    }
+    setupPerformance();
+    renderLoop();
+    setupFullscreenToggle();
+    setupCapture();
+    setupConstellations();
+    setupOfflineCache();
+    setupFocusControls();
+    setupInfoCard();
+    setupPointerSelection();
+    setupCommandPalette();
+    setupSettings();
+    setupCamera();
+    inputManager.on("update", handleInput);
+    manualInput.enable();
+    inputManager.addSource("manual", manualInput);
+    createGestureController();
+    setupGestureRecording();
+    setupCalibration();
+    if (autoStartGestures) {
+      startGestures().catch((error) => {
+        console.error("Failed to initialize gestures", error);
+      });
+    } else {
+      gestureStatusEl.textContent = "手势识别未启动";
+      updateGestureToggle();
+    }
+  }
+
+  // Tears the whole experience down: stops rendering and gesture detection,
+  // turns the camera off, removes every listener, frees GPU memory, removes
+  // the markup the app added and puts CONFIG back as it was.
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+
+    cancelAnimationFrame(animationFrameId);
+    clearTimeout(clearHighlightTimer);
+    clearInterval(recordingTimer);
+    lifecycle.abort();
+    resizeObserver?.disconnect();
+
+    calibrationWizard?.dispose();
+    cameraManager.dispose();
+    gestureController?.dispose();
+    inputManager.dispose();
+    manualInput.dispose();
+    infoCard.dispose();
+    pointerSelection.removeAllListeners();
+    selectionCursor.dispose();
+    commandPalette.dispose();
+    settingsForm?.dispose();
+    // Discards an unfinished recording.
+    videoRecorder.dispose();
+    performanceMonitor.dispose();
+    adaptiveQuality.removeAllListeners();
+    settings.removeAllListeners();
+    settings.restore();
+
+    constellations.dispose();
+    starfield.dispose();
+    postProcessing.dispose();
+    renderer.dispose();
+    renderer.forceContextLoss();
+    dom.unmount();
+    app.removeAllListeners();
+  }
+
+  // Bodies can be given as objects from getBodies() or by their label.
+  function resolveBody(target) {
+    if (typeof target !== "string") return target ?? null;
+    return starfield.getBodies().find((body) => body.userData.label === target) ?? null;
+  }
+
+  bootstrap();
+
+  return Object.assign(app, {
+    scene,
+    camera,
+    renderer,
+    starfield,
+    constellations,
+    cameraManager,
+    settings,
+
+    getBodies() {
+      return starfield.getBodies();
+    },
+
+    // Unlike a pointer selection, this one stays until cleared.
+    select(target) {
+      const body = resolveBody(target);
+      if (!body) return null;
+      clearTimeout(clearHighlightTimer);
+      clearHighlightTimer = null;
+      selectBody(body);
+      return body;
+    },
+
+    focus(target) {
+      const body = resolveBody(target);
+      if (!body) return null;
+      focusBody(body);
+      return body;
+    },
+
+    clearSelection,
+    returnToOverview,
+
+    // setConfig("starfield.rotationSpeed", 0.1) or
+    // setConfig({ starfield: { rotationSpeed: 0.1 } }); throws without
+    // applying anything if a value is invalid. Returns the applied changes.
+    setConfig(pathOrValues, value) {
+      return typeof pathOrValues === "string"
+        ? settings.set(pathOrValues, value)
+        : settings.update(toSettingPaths(pathOrValues));
+    },
+
+    getConfig(path) {
+      return settings.get(path);
+    },
+
+    // Rolling one-second averages plus the current adaptive quality level.
+    getPerformanceStats() {
+      return { ...performanceMonitor.stats, qualityLevel: adaptiveQuality.level };
+    },
+
+    // Resolves with a PNG Blob without downloading it.
+    captureImage: renderCapture,
+
+    // Throws when MediaRecorder or WebM is unavailable.
+    startVideoRecording,
+
+    // Resolves with the WebM Blob (also downloaded), or null if not recording.
+    stopVideoRecording() {
+      return videoRecorder.stop();
+    },
+
+    startGestures,
+    stopGestures,
+    destroy,
+  });
+}
@@ -0,0 +1,72 @@
+// Offline cache for the starfield app. The page installs it through
+// CONFIG.assets.serviceWorker and then posts { type: "cache", urls } with
+// every module, stylesheet and asset it has loaded plus the MediaPipe files
+// (see src/offline.js), so no file list is kept here.
+const CACHE_NAME = "starfield-v1";
+const APP_SHELL = ["./", "./index.html", "./manifest.webmanifest", "./icons/icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+function isCacheable(response) {
+  return response.ok && (response.type === "basic" || response.type === "cors");
+}
+
+// Replies on the transferred port with the URLs that could not be fetched.
+self.addEventListener("message", (event) => {
+  const { data, ports } = event;
+  if (data?.type !== "cache" || !Array.isArray(data.urls)) return;
+
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const failed = [];
+    await Promise.all(data.urls.map(async (url) => {
+      try {
+        if (await cache.match(url)) return;
+        const response = await fetch(url, { mode: new URL(url).origin === self.location.origin ? "same-origin" : "cors" });
+        if (!isCacheable(response)) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+      } catch (error) {
+        failed.push(url);
+      }
+    }));
+    ports[0]?.postMessage({ type: "cached", failed });
+  })());
+});
+
+// The app's own files are fetched from the network first so updates show up
+// whenever the device is online; versioned CDN files are served from the
+// cache first. Either way, successful responses are stored for offline use.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith("http")) return;
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    if (!sameOrigin) {
+      const cached = await cache.match(request);
+      if (cached) return cached;
+    }
+    try {
+      const response = await fetch(request);
+      if (isCacheable(response)) {
+        event.waitUntil(cache.put(request, response.clone()));
+      }
+      return response;
+    } catch (error) {
+      const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+      if (cached) return cached;
+      throw error;
+    }
+  })());
+});
@@ -0,0 +1,102 @@
+// Replays a recorded hand sequence headlessly and checks the gestures and
+// actions it produces, plus how replays interact with live detection. Run
+// with `node tests/gestureReplay.mjs`; no camera, model or three.js needed.
+// The fixture holds synthetic landmarks for open palm, fist, pointing and
+// thumbs-up, 320 ms each, followed by frames without a hand.
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { GestureController } from "../src/gestureController.js";
+import { getGestureActions } from "../src/gestureActions.js";
+
+const recording = await readFile(new URL("./fixtures/gesture-sequence.json", import.meta.url), "utf8");
+
+// Live detection is never really started here; start() only has to get as
+// far as scheduling its first frame.
+globalThis.requestAnimationFrame = () => 0;
+
+function createController() {
+  const controller = new GestureController(null, null, { useWorker: false });
+  const events = [];
+  ["gesturestart", "gestureend"].forEach((type) => {
+    controller.on(type, ({ gesture }) => events.push(`${type}:${gesture}`));
+  });
+  return { controller, events };
+}
+
+// Gesture sequence and the actions it maps to.
+{
+  const { controller, events } = createController();
+  const updates = [];
+  controller.on("update", ({ present, stableGesture }) => updates.push({ present, stableGesture }));
+  await controller.replay(recording, { speed: Infinity });
+
+  assert.deepEqual(events, [
+    "gesturestart:open",
+    "gestureend:open",
+    "gesturestart:fist",
+    "gestureend:fist",
+    "gesturestart:point",
+    "gestureend:point",
+    "gesturestart:thumbs-up",
+    "gestureend:thumbs-up",
+  ]);
+  const started = events.filter((event) => event.startsWith("gesturestart:")).map((event) => event.split(":")[1]);
+  assert.deepEqual(started.map(getGestureActions), [
+    ["zoom", "rotate"],
+    ["zoom", "rotate"],
+    ["zoom", "rotate", "select"],
+    ["reset-view"],
+  ]);
+  assert.equal(updates.length, 40);
+  assert.deepEqual(updates.at(-1), { present: false, stableGesture: "none" });
+  assert.equal(controller.replaying, false);
+}
+
+// Live detection pauses for the replay and resumes afterwards.
+{
+  const { controller } = createController();
+  controller.ready = true;
+  controller.start();
+  const replay = controller.replay(recording, { speed: 20 });
+  assert.equal(controller.running, false);
+  await replay;
+  assert.equal(controller.running, true);
+  controller.stop();
+}
+
+// A second replay cancels the first, which stops early and leaves resuming
+// live detection to the second.
+{
+  const { controller, events } = createController();
+  const statuses = [];
+  controller.on("status", ({ message }) => statuses.push(message));
+  controller.ready = true;
+  controller.start();
+  const first = controller.replay(recording, { speed: 4 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(controller.running, false);
+  const second = controller.replay(recording, { speed: Infinity });
+  await Promise.all([first, second]);
+  assert.equal(controller.running, true);
+  assert.equal(events.filter((event) => event === "gesturestart:thumbs-up").length, 1);
+  assert.deepEqual(statuses.filter((message) => message.startsWith("手势回放")), ["手势回放结束"]);
+  controller.stop();
+}
+
+// Stopping gestures during a replay keeps them stopped afterwards.
+{
+  const { controller } = createController();
+  controller.ready = true;
+  controller.start();
+  const replay = controller.replay(recording, { speed: 20 });
+  controller.stop();
+  await replay;
+  assert.equal(controller.running, false);
+}
+
+for (const speed of [0, -1, Number.NaN]) {
+  const { controller } = createController();
+  await assert.rejects(controller.replay(recording, { speed }), /回放速度必须大于 0/);
+}
+
+console.log("ok: gesture replay");
@@ -0,0 +1,28 @@
+// The same seed has to build the same sky. Run with
+// `node tests/seedDeterminism.mjs` after scripts/vendor-assets.sh (or with
+// three installed in node_modules).
+import assert from "node:assert/strict";
+import { register } from "node:module";
+
+register("./threeLoader.mjs", import.meta.url);
+const THREE = await import("three");
+const { Starfield } = await import("../src/starfield.js");
+
+function buildSky(seed) {
+  const starfield = new Starfield(new THREE.Scene(), { seed, starCount: 400, planetCount: 8 });
+  const readPosition = starfield.createBodyPositionReader();
+  const bodies = starfield.getBodies().map((body) => ({
+    label: body.userData.label,
+    position: readPosition(body, new THREE.Vector3()).toArray(),
+  }));
+  starfield.dispose();
+  return bodies;
+}
+
+const first = buildSky(20240601);
+assert.ok(first.length > 400, "stars, planets and moons are all compared");
+assert.deepEqual(buildSky(20240601), first, "same seed, same positions");
+assert.deepEqual(buildSky("20240601"), first, "a seed from the URL matches the numeric one");
+assert.notDeepEqual(buildSky(20240602), first, "another seed, another sky");
+
+console.log(`ok: ${first.length} bodies placed identically for the same seed`);
@@ -0,0 +1,18 @@
+// Node has no import map, so "three" and "three/addons/" are resolved to the
+// copy scripts/vendor-assets.sh puts in vendor/three, when there is one, and
+// otherwise left to node_modules.
+import { existsSync } from "node:fs";
+
+const vendoredThree = new URL("../vendor/three/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (existsSync(vendoredThree)) {
+    if (specifier === "three") {
+      return { url: new URL("build/three.module.js", vendoredThree).href, shortCircuit: true };
+    }
+    if (specifier.startsWith("three/addons/")) {
+      return { url: new URL(`examples/jsm/${specifier.slice("three/addons/".length)}`, vendoredThree).href, shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}